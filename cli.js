@@ -73,6 +73,7 @@ Security:
   - Uses random port by default to prevent browser extension attacks
   - Protected with helmet.js security headers
   - Only accessible from localhost
+  - API locked to the browser opened with the one-time link
 
 The UI will automatically open in your default browser.
 Press Ctrl+C to stop the server.
@@ -103,8 +104,9 @@ async function main() {
   
   try {
     // Start server (port 0 = OS assigns random available port)
-    const server = startServer(config.port, config.cwd, async (actualPort) => {
-      const url = `http://127.0.0.1:${actualPort}`;
+    const server = startServer(config.port, config.cwd, async (actualPort, token) => {
+      // One-time token, exchanged by the browser for a session cookie
+      const url = `http://127.0.0.1:${actualPort}/?token=${token}`;
       console.log(`  Server running at: ${url}`);
       console.log('  Press Ctrl+C to stop\n');
       
@@ -7,13 +7,29 @@
 // ============================================
 const state = {
   currentFile: null,
+  version: null,
   entries: [],
   hasPrivateKey: false,
+  hasKeys: window.__INITIAL_DATA__?.hasKeys || false,
+  files: window.__INITIAL_DATA__?.files || [],
+  fileVersions: window.__INITIAL_DATA__?.versions || {},
   visibleValues: new Set(),
+  selectedKeys: new Set(),
   editingKey: null,
+  changedWhileEditing: false,
   cwd: window.__INITIAL_DATA__?.cwd || '',
   folderInfo: window.__INITIAL_DATA__?.folderInfo || {},
-  folderPanelOpen: false
+  folderPanelOpen: false,
+  fileValidation: {},
+  addKeyTarget: null,
+  conflict: null,
+  compareVersions: {},
+  history: null,
+  schema: null,
+  validation: null,
+  resolved: {},
+  permissionWarnings: [],
+  diff: null
 };
 
 // ============================================
@@ -23,13 +39,63 @@ const elements = {
   fileList: document.getElementById('file-list'),
   entriesBody: document.getElementById('entries-body'),
   currentFileName: document.getElementById('current-file-name'),
+  fileFormat: document.getElementById('file-format'),
   btnAddKey: document.getElementById('btn-add-key'),
+  btnCopyKeys: document.getElementById('btn-copy-keys'),
+  btnImport: document.getElementById('btn-import'),
+  btnActivity: document.getElementById('btn-activity'),
+  btnRecursive: document.getElementById('btn-recursive'),
+  permissionWarning: document.getElementById('permission-warning'),
+  modalConflict: document.getElementById('modal-conflict'),
+  conflictMessage: document.getElementById('conflict-message'),
+  conflictDiff: document.getElementById('conflict-diff'),
+  conflictShowValues: document.getElementById('conflict-show-values'),
+  modalActivity: document.getElementById('modal-activity'),
+  activityContainer: document.getElementById('activity-container'),
+  activityFolder: document.getElementById('activity-folder'),
+  activityFile: document.getElementById('activity-file'),
+  activityKey: document.getElementById('activity-key'),
+  btnHistory: document.getElementById('btn-history'),
+  modalHistory: document.getElementById('modal-history'),
+  historyList: document.getElementById('history-list'),
+  historyDiff: document.getElementById('history-diff'),
+  historyShowValues: document.getElementById('history-show-values'),
+  btnGenerateExample: document.getElementById('btn-generate-example'),
+  exampleDrift: document.getElementById('example-drift'),
+  validationSummary: document.getElementById('validation-summary'),
+  btnExport: document.getElementById('btn-export'),
+  exportMenu: document.getElementById('export-menu'),
+  exportDecrypt: document.getElementById('export-decrypt'),
+  modalImport: document.getElementById('modal-import'),
+  formImport: document.getElementById('form-import'),
+  importPreview: document.getElementById('import-preview'),
+  modalCopyKeys: document.getElementById('modal-copy-keys'),
+  formCopyKeys: document.getElementById('form-copy-keys'),
+  selectAllKeys: document.getElementById('select-all-keys'),
   btnEncrypt: document.getElementById('btn-encrypt'),
+  btnDecrypt: document.getElementById('btn-decrypt'),
+  btnRotate: document.getElementById('btn-rotate'),
   btnNewFile: document.getElementById('btn-new-file'),
   modalAddKey: document.getElementById('modal-add-key'),
   modalNewFile: document.getElementById('modal-new-file'),
+  modalSetupKeys: document.getElementById('modal-setup-keys'),
   formAddKey: document.getElementById('form-add-key'),
   formNewFile: document.getElementById('form-new-file'),
+  formSetupKeys: document.getElementById('form-setup-keys'),
+  btnSetupKeys: document.getElementById('btn-setup-keys'),
+  btnCompare: document.getElementById('btn-compare'),
+  modalCompare: document.getElementById('modal-compare'),
+  compareContainer: document.getElementById('compare-container'),
+  compareShowValues: document.getElementById('compare-show-values'),
+  compareMissingOnly: document.getElementById('compare-missing-only'),
+  btnDiff: document.getElementById('btn-diff'),
+  modalDiff: document.getElementById('modal-diff'),
+  diffContainer: document.getElementById('diff-container'),
+  diffLeft: document.getElementById('diff-left'),
+  diffRight: document.getElementById('diff-right'),
+  diffShowValues: document.getElementById('diff-show-values'),
+  diffShowIdentical: document.getElementById('diff-show-identical'),
+  keysBadge: document.getElementById('keys-badge'),
   toastContainer: document.getElementById('toast-container'),
   // Folder elements
   btnFolder: document.getElementById('btn-folder'),
@@ -48,22 +114,30 @@ const elements = {
 // ============================================
 async function api(endpoint, options = {}) {
   const response = await fetch(`/api${endpoint}`, {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers
-    },
-    ...options
+    }
   });
   
   const data = await response.json();
   
   if (!response.ok) {
-    throw new Error(data.error || 'API request failed');
+    const error = new Error(data.error || 'API request failed');
+    error.status = response.status;
+    error.data = data;
+    throw error;
   }
   
   return data;
 }
 
+// Changes to a file carry the version it was loaded at (see mutateFile)
+function versionHeaders(version) {
+  return { 'If-Match': `"${version}"` };
+}
+
 async function fetchFiles() {
   return api('/files');
 }
@@ -72,29 +146,61 @@ async function fetchFileContent(filename) {
   return api(`/files/${encodeURIComponent(filename)}`);
 }
 
-async function addKey(filename, key, value) {
+async function addKey(filename, key, value, version) {
   return api(`/files/${encodeURIComponent(filename)}/keys`, {
     method: 'POST',
+    headers: versionHeaders(version),
     body: JSON.stringify({ key, value })
   });
 }
 
-async function updateKey(filename, key, value) {
+async function updateKey(filename, key, value, version) {
   return api(`/files/${encodeURIComponent(filename)}/keys/${encodeURIComponent(key)}`, {
     method: 'PUT',
+    headers: versionHeaders(version),
     body: JSON.stringify({ value })
   });
 }
 
-async function deleteKey(filename, key) {
+async function deleteKey(filename, key, version) {
   return api(`/files/${encodeURIComponent(filename)}/keys/${encodeURIComponent(key)}`, {
-    method: 'DELETE'
+    method: 'DELETE',
+    headers: versionHeaders(version)
+  });
+}
+
+async function encryptKey(filename, key, version) {
+  return api(`/files/${encodeURIComponent(filename)}/keys/${encodeURIComponent(key)}/encrypt`, {
+    method: 'POST',
+    headers: versionHeaders(version)
   });
 }
 
-async function encryptFile(filename) {
+async function decryptKey(filename, key, version) {
+  return api(`/files/${encodeURIComponent(filename)}/keys/${encodeURIComponent(key)}/decrypt`, {
+    method: 'POST',
+    headers: versionHeaders(version)
+  });
+}
+
+async function encryptFile(filename, version) {
   return api(`/files/${encodeURIComponent(filename)}/encrypt`, {
-    method: 'POST'
+    method: 'POST',
+    headers: versionHeaders(version)
+  });
+}
+
+async function decryptFile(filename, version) {
+  return api(`/files/${encodeURIComponent(filename)}/decrypt`, {
+    method: 'POST',
+    headers: versionHeaders(version)
+  });
+}
+
+async function rotateKey(filename, version) {
+  return api(`/files/${encodeURIComponent(filename)}/rotate`, {
+    method: 'POST',
+    headers: versionHeaders(version)
   });
 }
 
@@ -105,6 +211,117 @@ async function createFile(filename) {
   });
 }
 
+async function initKeys(files, gitignore, versions) {
+  return api('/keys/init', {
+    method: 'POST',
+    body: JSON.stringify({ files, gitignore, versions })
+  });
+}
+
+async function fetchKeysInfo() {
+  return api('/keys');
+}
+
+// version is the target's, the file being written
+async function copyKeys(filename, target, keys, overwrite, version) {
+  return api(`/files/${encodeURIComponent(filename)}/copy`, {
+    method: 'POST',
+    headers: versionHeaders(version),
+    body: JSON.stringify({ target, keys, overwrite })
+  });
+}
+
+async function previewImport(filename, content, format) {
+  return api(`/files/${encodeURIComponent(filename)}/import/preview`, {
+    method: 'POST',
+    body: JSON.stringify({ content, format })
+  });
+}
+
+async function importKeys(filename, content, format, overwrite, encrypt, version) {
+  return api(`/files/${encodeURIComponent(filename)}/import`, {
+    method: 'POST',
+    headers: versionHeaders(version),
+    body: JSON.stringify({ content, format, overwrite, encrypt })
+  });
+}
+
+async function fetchValidation() {
+  return api('/validation');
+}
+
+async function fetchExampleDrift() {
+  return api('/example');
+}
+
+async function generateExample(source, overwrite, versions) {
+  return api('/example/generate', {
+    method: 'POST',
+    body: JSON.stringify({ source, overwrite, versions })
+  });
+}
+
+async function syncExample(versions) {
+  return api('/example/sync', {
+    method: 'POST',
+    body: JSON.stringify({ versions })
+  });
+}
+
+async function fetchHistory(filename) {
+  return api(`/files/${encodeURIComponent(filename)}/history`);
+}
+
+async function fetchSnapshotDiff(filename, id) {
+  return api(`/files/${encodeURIComponent(filename)}/history/${id}`);
+}
+
+async function restoreSnapshot(filename, id, version) {
+  return api(`/files/${encodeURIComponent(filename)}/history/${id}/restore`, {
+    method: 'POST',
+    headers: versionHeaders(version)
+  });
+}
+
+async function fetchActivity(filters) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value) params.set(name, value);
+  });
+  return api(`/audit?${params}`);
+}
+
+async function resolveCommands(filename) {
+  return api(`/files/${encodeURIComponent(filename)}/resolve`, { method: 'POST' });
+}
+
+// Returns the file as a Blob with its download name; errors come back as JSON
+async function exportFile(filename, format, decrypt) {
+  const query = `format=${encodeURIComponent(format)}${decrypt ? '&decrypt=1' : ''}`;
+  const response = await fetch(`/api/files/${encodeURIComponent(filename)}/export?${query}`);
+  
+  if (!response.ok) {
+    const data = await response.json();
+    throw new Error(data.error || 'Export failed');
+  }
+  
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  
+  return {
+    blob: await response.blob(),
+    filename: match ? match[1] : filename
+  };
+}
+
+async function fetchCompare(includeValues) {
+  return api(`/compare${includeValues ? '?values=1' : ''}`);
+}
+
+async function fetchDiff(left, right) {
+  return api(`/diff?left=${encodeURIComponent(left)}&right=${encodeURIComponent(right)}`);
+}
+
 // Folder API functions
 async function changeFolder(folderPath) {
   return api('/folder/change', {
@@ -113,6 +330,13 @@ async function changeFolder(folderPath) {
   });
 }
 
+async function updateFolderSettings(settings) {
+  return api('/folder/settings', {
+    method: 'PUT',
+    body: JSON.stringify(settings)
+  });
+}
+
 async function saveFolder(folderPath) {
   return api('/folder/saved', {
     method: 'POST',
@@ -163,34 +387,99 @@ function closeModal(modal) {
   modal.classList.add('hidden');
   const form = modal.querySelector('form');
   if (form) form.reset();
+  
+  if (modal === elements.modalAddKey) {
+    state.addKeyTarget = null;
+  }
+  
+  if (modal === elements.modalImport) {
+    clearImportPreview();
+  }
+  
+  if (modal === elements.modalConflict) {
+    settleConflict(false);
+  }
 }
 
 function maskValue(value, length = 8) {
   return '•'.repeat(Math.min(length, value.length || 8));
 }
 
-function renderFileList(files) {
+function renderFileList(files, versions = state.fileVersions) {
+  state.files = files;
+  state.fileVersions = versions;
+  
   if (files.length === 0) {
     elements.fileList.innerHTML = '<p class="empty-state">No .env files found</p>';
     return;
   }
   
-  elements.fileList.innerHTML = files.map((file, index) => `
-    <button 
-      class="file-item ${file === state.currentFile ? 'active' : ''}" 
-      data-file="${file}"
-    >
-      <span class="file-icon">📄</span>
-      <span class="file-name">${file}</span>
-    </button>
-  `).join('');
+  // Files from subdirectories (recursive scan) are grouped under their directory
+  let currentDir = '';
+  elements.fileList.innerHTML = files.map(file => {
+    const dir = getDirName(file);
+    const validation = state.fileValidation[file];
+    const problems = validation
+      ? Object.keys(validation.errors).length + validation.missing.length + (validation.schemaError ? 1 : 0)
+      : 0;
+    
+    const groupHeader = dir !== currentDir
+      ? `<div class="file-group" title="${escapeHtml(dir)}">📁 ${escapeHtml(dir)}</div>`
+      : '';
+    currentDir = dir;
+    
+    return `
+      ${groupHeader}
+      <button 
+        class="file-item ${dir ? 'nested' : ''} ${file === state.currentFile ? 'active' : ''}" 
+        data-file="${escapeHtml(file)}"
+        title="${escapeHtml(file)}"
+      >
+        <span class="file-icon">📄</span>
+        <span class="file-name">${escapeHtml(getBaseName(file))}</span>
+        ${problems > 0 ? `<span class="validation-badge" title="Schema problems">⚠ ${problems}</span>` : ''}
+      </button>
+    `;
+  }).join('');
+}
+
+// Validation results for every file, shown as badges in the file list
+async function loadFileValidation() {
+  try {
+    const data = await fetchValidation();
+    state.fileValidation = data.files;
+  } catch (err) {
+    state.fileValidation = {};
+  }
+  renderFileList(state.files);
+}
+
+// Sidebar indicators that depend on every file in the folder
+function loadFolderStatus() {
+  loadExampleDrift();
+  loadFileValidation();
 }
 
 function renderEntries() {
+  renderSelection();
+  renderPermissionWarnings();
+  renderValidation();
+  
+  // Keep what's being typed in the edited row when the table is redrawn
+  const editInput = state.editingKey
+    ? document.querySelector(`.value-input[data-key="${state.editingKey}"]`)
+    : null;
+  const draft = editInput && {
+    value: editInput.value,
+    focused: document.activeElement === editInput,
+    start: editInput.selectionStart,
+    end: editInput.selectionEnd
+  };
+  
   if (!state.currentFile || state.entries.length === 0) {
     elements.entriesBody.innerHTML = `
       <tr class="empty-row">
-        <td colspan="3">
+        <td colspan="4">
           <div class="empty-state">
             ${state.currentFile 
               ? 'No environment variables in this file' 
@@ -207,13 +496,24 @@ function renderEntries() {
     const isEditing = state.editingKey === entry.key;
     const displayValue = entry.decryptedValue || entry.value;
     const isEncrypted = entry.encrypted;
+    const rule = state.schema && state.schema[entry.key];
+    const error = state.validation && state.validation.errors[entry.key];
+    const resolution = state.resolved[entry.key];
     
     return `
       <tr data-key="${entry.key}">
+        <td class="col-select">
+          <input 
+            type="checkbox" 
+            onchange="toggleSelected('${entry.key}')"
+            ${state.selectedKeys.has(entry.key) ? 'checked' : ''}
+          >
+        </td>
         <td>
-          <span class="entry-key">
+          <span class="entry-key" ${rule && rule.description ? `title="${escapeHtml(rule.description)}"` : ''}>
             ${isEncrypted ? '<span class="encrypted-icon" title="Encrypted">🔐</span>' : ''}
             ${entry.key}
+            ${error ? `<span class="validation-badge" title="${escapeHtml(error)}">⚠ ${escapeHtml(error)}</span>` : ''}
           </span>
         </td>
         <td>
@@ -235,6 +535,7 @@ function renderEntries() {
               </span>
             `}
           </div>
+          ${!isEditing && resolution ? renderResolution(resolution, isVisible) : ''}
         </td>
         <td>
           <div class="entry-actions">
@@ -254,6 +555,25 @@ function renderEntries() {
               >
                 ✏️
               </button>
+              ${isEncrypted ? `
+                <button 
+                  class="btn btn-icon btn-ghost" 
+                  onclick="handleDecryptKey('${entry.key}')"
+                  title="Decrypt value"
+                  ${!entry.decryptedValue ? 'disabled' : ''}
+                >
+                  🔓
+                </button>
+              ` : `
+                <button 
+                  class="btn btn-icon btn-ghost" 
+                  onclick="handleEncryptKey('${entry.key}')"
+                  title="Encrypt value"
+                  ${entry.key.startsWith('DOTENV_PUBLIC_KEY') ? 'disabled' : ''}
+                >
+                  🔐
+                </button>
+              `}
               <button 
                 class="btn btn-icon btn-danger" 
                 onclick="confirmDelete('${entry.key}')"
@@ -267,12 +587,122 @@ function renderEntries() {
       </tr>
     `;
   }).join('');
+  
+  const newInput = draft && document.querySelector(`.value-input[data-key="${state.editingKey}"]`);
+  if (newInput) {
+    newInput.value = draft.value;
+    if (draft.focused) {
+      newInput.focus();
+      newInput.setSelectionRange(draft.start, draft.end);
+    }
+  }
+}
+
+function renderFileFormat(format) {
+  if (!format) {
+    elements.fileFormat.style.display = 'none';
+    return;
+  }
+  
+  const parts = [format.eol === '\r\n' ? 'CRLF' : 'LF'];
+  if (format.bom) parts.push('BOM');
+  if (!format.finalNewline) parts.push('no final newline');
+  
+  elements.fileFormat.textContent = parts.join(' · ');
+  elements.fileFormat.title = 'Detected file format (kept when saving)';
+  elements.fileFormat.style.display = 'inline-block';
+}
+
+// Resolved value of ${VAR} / $(command) expansion, with any problems
+function renderResolution(resolution, isVisible) {
+  const lines = [];
+  
+  if (resolution.resolved !== null) {
+    lines.push(`
+      <div class="resolved-value" title="Resolved value">
+        → ${isVisible ? escapeHtml(resolution.resolved) : maskValue(resolution.resolved)}
+      </div>
+    `);
+  } else if (resolution.commands.length > 0) {
+    lines.push(`
+      <div class="resolved-value command">
+        ${resolution.commands.map(command => `<code>$(${escapeHtml(command)})</code>`).join(' ')}
+        <button class="btn btn-sm btn-ghost" onclick="handleRunCommands()" title="Run the file's $(…) commands to resolve values">▶ Run</button>
+      </div>
+    `);
+  }
+  
+  resolution.issues.forEach(issue => {
+    lines.push(`<div class="resolved-value issue ${issue.type}">⚠ ${escapeHtml(issue.message)}</div>`);
+  });
+  
+  return lines.join('');
+}
+
+function renderValidation() {
+  const validation = state.currentFile && state.validation;
+  const summary = elements.validationSummary;
+  
+  if (!validation) {
+    summary.classList.add('hidden');
+    return;
+  }
+  
+  const errorCount = Object.keys(validation.errors).length;
+  const parts = [];
+  
+  if (validation.schemaError) {
+    parts.push(`${escapeHtml(validation.schemaError)} (values aren't checked until it is fixed)`);
+  }
+  if (errorCount > 0) {
+    parts.push(`${errorCount} invalid value(s)`);
+  }
+  if (validation.missing.length > 0) {
+    parts.push(`missing required: ${escapeHtml(validation.missing.join(', '))}`);
+  }
+  
+  const valid = parts.length === 0;
+  summary.className = `validation-summary ${valid ? 'ok' : 'error'}`;
+  summary.innerHTML = valid ? '✓ Matches .env.schema.json' : `⚠ ${parts.join(' · ')}`;
+}
+
+function renderPermissionWarnings() {
+  const warnings = state.currentFile ? state.permissionWarnings : [];
+  
+  elements.permissionWarning.classList.toggle('hidden', warnings.length === 0);
+  elements.permissionWarning.innerHTML = warnings.map(w => `<div>⚠ ${escapeHtml(w)}</div>`).join('');
+}
+
+function renderKeysStatus(hasKeys) {
+  state.hasKeys = hasKeys;
+  elements.keysBadge.style.display = hasKeys ? 'inline-flex' : 'none';
+  elements.btnSetupKeys.style.display = hasKeys ? 'none' : 'inline-flex';
 }
 
+// Escapes quotes too: the result is also used inside attribute values
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// File paths are relative to the folder, e.g. apps/web/.env
+function getDirName(filename) {
+  const index = filename.lastIndexOf('/');
+  return index === -1 ? '' : filename.slice(0, index);
+}
+
+function getBaseName(filename) {
+  return filename.slice(filename.lastIndexOf('/') + 1);
+}
+
+// The .env.keys an env file's private key is read from
+function getKeysFile(filename) {
+  const dir = getDirName(filename);
+  return dir ? `${dir}/.env.keys` : '.env.keys';
 }
 
 // ============================================
@@ -339,6 +769,65 @@ function updateFolderUI(folderInfo) {
     if (saveBtn) saveBtn.style.display = 'inline-flex';
     if (unsaveBtn) unsaveBtn.style.display = 'none';
   }
+  
+  renderRecursiveToggle();
+}
+
+function renderRecursiveToggle() {
+  const recursive = !!(state.folderInfo.settings && state.folderInfo.settings.recursive);
+  elements.btnRecursive.classList.toggle('active', recursive);
+  elements.btnRecursive.title = recursive
+    ? 'Showing env files in subdirectories (click for this folder only)'
+    : 'Show env files in subdirectories';
+}
+
+async function handleToggleRecursive() {
+  const recursive = !(state.folderInfo.settings && state.folderInfo.settings.recursive);
+  
+  try {
+    const data = await updateFolderSettings({ recursive });
+    state.folderInfo.settings = data.settings;
+    renderRecursiveToggle();
+    renderFileList(data.files, data.versions);
+    loadFolderStatus();
+    
+    if (state.currentFile && !data.files.includes(state.currentFile)) {
+      clearCurrentFile();
+      if (data.files.length > 0) {
+        selectFile(data.files[0]);
+      }
+    }
+    
+    showToast(recursive ? `Found ${data.files.length} env file(s) including subdirectories` : 'Showing this folder only');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// Show no file, with file actions disabled until one is selected
+function clearCurrentFile() {
+  state.currentFile = null;
+  state.version = null;
+  state.changedWhileEditing = false;
+  state.entries = [];
+  state.visibleValues.clear();
+  state.selectedKeys.clear();
+  state.editingKey = null;
+  state.schema = null;
+  state.validation = null;
+  state.resolved = {};
+  renderEntries();
+  
+  elements.btnAddKey.disabled = true;
+  elements.btnImport.disabled = true;
+  elements.btnHistory.disabled = true;
+  elements.btnGenerateExample.disabled = true;
+  elements.btnExport.disabled = true;
+  elements.btnEncrypt.disabled = true;
+  elements.btnDecrypt.disabled = true;
+  elements.btnRotate.disabled = true;
+  elements.currentFileName.textContent = 'Select a file';
+  renderFileFormat(null);
 }
 
 async function handleFolderChange(folderPath) {
@@ -347,20 +836,13 @@ async function handleFolderChange(folderPath) {
     
     // Update state
     state.cwd = data.cwd;
-    state.currentFile = null;
-    state.entries = [];
-    state.visibleValues.clear();
-    state.editingKey = null;
     
     // Update UI
     updateFolderUI(data.folderInfo);
-    renderFileList(data.files);
-    renderEntries();
-    
-    // Disable buttons until file is selected
-    elements.btnAddKey.disabled = true;
-    elements.btnEncrypt.disabled = true;
-    elements.currentFileName.textContent = 'Select a file';
+    clearCurrentFile();
+    renderFileList(data.files, data.versions);
+    renderKeysStatus(data.hasKeys);
+    loadFolderStatus();
     
     // Close folder panel
     closeFolderPanel();
@@ -530,12 +1012,19 @@ async function selectFile(filename) {
   
   state.currentFile = filename;
   state.visibleValues.clear();
+  state.selectedKeys.clear();
   state.editingKey = null;
   
   // Update UI
   elements.currentFileName.textContent = filename;
   elements.btnAddKey.disabled = false;
+  elements.btnImport.disabled = false;
+  elements.btnHistory.disabled = false;
+  elements.btnGenerateExample.disabled = getBaseName(filename) === EXAMPLE_FILE;
+  elements.btnExport.disabled = false;
   elements.btnEncrypt.disabled = false;
+  elements.btnDecrypt.disabled = false;
+  elements.btnRotate.disabled = false;
   
   // Update active state in file list
   document.querySelectorAll('.file-item').forEach(item => {
@@ -545,7 +1034,7 @@ async function selectFile(filename) {
   // Show loading state
   elements.entriesBody.innerHTML = `
     <tr class="empty-row">
-      <td colspan="3">
+      <td colspan="4">
         <div class="empty-state">
           <span class="spinner"></span> Loading...
         </div>
@@ -555,13 +1044,110 @@ async function selectFile(filename) {
   
   try {
     const data = await fetchFileContent(filename);
+    state.version = data.version;
+    state.changedWhileEditing = false;
+    state.permissionWarnings = data.permissionWarnings || [];
     state.entries = data.entries;
     state.hasPrivateKey = data.hasPrivateKey;
+    state.schema = data.schema;
+    state.validation = data.validation;
+    state.resolved = data.resolved || {};
+    renderFileFormat(data.format);
     renderEntries();
   } catch (err) {
     showToast(err.message, 'error');
+    state.version = null;
     state.entries = [];
+    state.schema = null;
+    state.validation = null;
+    state.resolved = {};
+    renderFileFormat(null);
+    renderEntries();
+  }
+}
+
+function toggleSelected(key) {
+  if (state.selectedKeys.has(key)) {
+    state.selectedKeys.delete(key);
+  } else {
+    state.selectedKeys.add(key);
+  }
+  renderSelection();
+}
+
+function toggleSelectAll() {
+  if (elements.selectAllKeys.checked) {
+    state.entries.forEach(entry => state.selectedKeys.add(entry.key));
+  } else {
+    state.selectedKeys.clear();
+  }
+  renderEntries();
+}
+
+function renderSelection() {
+  // Drop keys that no longer exist
+  const keys = new Set(state.entries.map(entry => entry.key));
+  state.selectedKeys.forEach(key => {
+    if (!keys.has(key)) state.selectedKeys.delete(key);
+  });
+  
+  const count = state.selectedKeys.size;
+  elements.btnCopyKeys.disabled = count === 0;
+  elements.btnCopyKeys.innerHTML = `<span class="icon">⧉</span> Copy${count > 0 ? ` ${count}` : ''} to…`;
+  elements.selectAllKeys.checked = count > 0 && count === state.entries.length;
+}
+
+function openCopyKeys() {
+  const targets = state.files.filter(file => file !== state.currentFile);
+  if (targets.length === 0) {
+    showToast('No other .env file to copy to', 'error');
+    return;
+  }
+  
+  document.getElementById('copy-target').innerHTML = targets
+    .map(file => `<option value="${escapeHtml(file)}">${escapeHtml(file)}</option>`)
+    .join('');
+  document.getElementById('copy-keys-hint').textContent =
+    `${[...state.selectedKeys].join(', ')} — re-encrypted with the target's key if it is encrypted`;
+  
+  openModal(elements.modalCopyKeys);
+}
+
+// Copy keys, asking whether to overwrite when some already exist in the target
+async function copyKeysWithConfirm(source, target, keys, version) {
+  try {
+    return await copyKeys(source, target, keys, undefined, version);
+  } catch (err) {
+    if (err.status !== 409 || !err.data.conflicts) throw err;
+    
+    const conflicts = err.data.conflicts;
+    const overwrite = confirm(`${conflicts.join(', ')} already exist in ${target}.\n\nOK to overwrite, Cancel to skip them.`);
+    return copyKeys(source, target, keys, overwrite, version);
+  }
+}
+
+async function handleCopyKeys(e) {
+  e.preventDefault();
+  
+  const target = document.getElementById('copy-target').value;
+  const keys = [...state.selectedKeys];
+  
+  try {
+    const result = await mutateFiles(listedVersions([target]), versions =>
+      copyKeysWithConfirm(state.currentFile, target, keys, versions[target])
+    );
+    if (!result) return;
+    
+    state.fileVersions[target] = result.version;
+    closeModal(elements.modalCopyKeys);
+    state.selectedKeys.clear();
     renderEntries();
+    loadFolderStatus();
+    
+    const skipped = result.skipped.length > 0 ? `, skipped ${result.skipped.join(', ')}` : '';
+    showToast(`Copied ${result.copied.length} key(s) to ${target}${skipped}`);
+  } catch (err) {
+    showToast(err.message, 'error');
   }
 }
 
@@ -591,6 +1177,11 @@ function startEdit(key) {
 function cancelEdit() {
   state.editingKey = null;
   renderEntries();
+  
+  // Show what changed on disk while the edit was open
+  if (state.changedWhileEditing) {
+    refreshCurrentFile().catch(err => showToast(err.message, 'error'));
+  }
 }
 
 async function saveEdit(key) {
@@ -600,7 +1191,8 @@ async function saveEdit(key) {
   const newValue = input.value;
   
   try {
-    await updateKey(state.currentFile, key, newValue);
+    const result = await mutateFile(`Set ${key}`, version => updateKey(state.currentFile, key, newValue, version));
+    if (!result) return;
     
     // Update local state
     const entry = state.entries.find(e => e.key === key);
@@ -613,6 +1205,23 @@ async function saveEdit(key) {
     state.editingKey = null;
     renderEntries();
     showToast(`Updated ${key}`);
+    
+    // Validation and resolved values depend on the other keys
+    await refreshCurrentFile();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleRunCommands() {
+  const commands = Object.values(state.resolved).flatMap(resolution => resolution.commands);
+  if (!confirm(`Run these commands on your machine?\n\n${commands.join('\n')}`)) return;
+  
+  try {
+    const data = await resolveCommands(state.currentFile);
+    state.resolved = data.resolved;
+    renderEntries();
+    showToast('Commands resolved');
   } catch (err) {
     showToast(err.message, 'error');
   }
@@ -622,15 +1231,68 @@ async function confirmDelete(key) {
   if (!confirm(`Delete "${key}"?`)) return;
   
   try {
-    await deleteKey(state.currentFile, key);
+    const result = await mutateFile(`Delete ${key}`, version => deleteKey(state.currentFile, key, version));
+    if (!result) return;
+    
     state.entries = state.entries.filter(e => e.key !== key);
     renderEntries();
+    loadFolderStatus();
     showToast(`Deleted ${key}`);
+    
+    // Validation and resolved values depend on the other keys
+    await refreshCurrentFile();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleEncryptKey(key) {
+  try {
+    const result = await mutateFile(`Encrypt ${key}`, version => encryptKey(state.currentFile, key, version));
+    if (!result) return;
+    
+    await refreshCurrentFile();
+    showToast(`Encrypted ${key}`);
   } catch (err) {
     showToast(err.message, 'error');
   }
 }
 
+async function handleDecryptKey(key) {
+  if (!confirm(`Decrypt "${key}"?\n\nThe value will be stored as plain text.`)) return;
+  
+  try {
+    const result = await mutateFile(`Decrypt ${key}`, version => decryptKey(state.currentFile, key, version));
+    if (!result) return;
+    
+    await refreshCurrentFile();
+    showToast(`Decrypted ${key}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function refreshCurrentFile() {
+  const data = await fetchFileContent(state.currentFile);
+  state.version = data.version;
+  state.changedWhileEditing = false;
+  state.permissionWarnings = data.permissionWarnings || [];
+  state.entries = data.entries;
+  state.hasPrivateKey = data.hasPrivateKey;
+  state.schema = data.schema;
+  state.validation = data.validation;
+  state.resolved = data.resolved || {};
+  renderFileFormat(data.format);
+  loadFolderStatus();
+  
+  // Encrypting may have created .env.keys
+  if (data.hasPrivateKey && !state.hasKeys) {
+    renderKeysStatus(true);
+  }
+  
+  renderEntries();
+}
+
 async function handleAddKey(e) {
   e.preventDefault();
   
@@ -645,19 +1307,38 @@ async function handleAddKey(e) {
     return;
   }
   
+  const filename = state.addKeyTarget || state.currentFile;
+  
   try {
-    await addKey(state.currentFile, key, value);
+    // Keys added from the compare view use the version the matrix was built from
+    const result = filename === state.currentFile
+      ? await mutateFile(`Add ${key}`, version => addKey(filename, key, value, version))
+      : await addKey(filename, key, value, state.compareVersions[filename]);
+    if (!result) return;
+    state.fileVersions[filename] = result.version;
     
-    state.entries.push({
-      key,
-      value,
-      encrypted: false,
-      decryptedValue: value
-    });
+    if (filename === state.currentFile) {
+      state.entries.push({
+        key,
+        value,
+        encrypted: false,
+        decryptedValue: value
+      });
+    }
     
     closeModal(elements.modalAddKey);
     renderEntries();
-    showToast(`Added ${key}`);
+    loadFolderStatus();
+    showToast(`Added ${key} to ${filename}`);
+    
+    // Validation and resolved values depend on the other keys
+    if (filename === state.currentFile) {
+      await refreshCurrentFile();
+    }
+    
+    if (!elements.modalCompare.classList.contains('hidden')) {
+      loadCompare();
+    }
   } catch (err) {
     showToast(err.message, 'error');
   }
@@ -669,7 +1350,8 @@ async function handleNewFile(e) {
   const nameInput = document.getElementById('new-file-name');
   const filename = nameInput.value.trim();
   
-  if (!filename || !filename.startsWith('.env')) {
+  // The server checks the name against the folder's env file patterns
+  if (!filename) {
     showToast('Invalid filename', 'error');
     return;
   }
@@ -679,7 +1361,8 @@ async function handleNewFile(e) {
     
     // Refresh file list
     const data = await fetchFiles();
-    renderFileList(data.files);
+    renderFileList(data.files, data.versions);
+    loadFolderStatus();
     
     closeModal(elements.modalNewFile);
     showToast(`Created ${filename}`);
@@ -702,12 +1385,11 @@ async function handleEncrypt() {
     elements.btnEncrypt.disabled = true;
     elements.btnEncrypt.innerHTML = '<span class="spinner"></span> Encrypting...';
     
-    await encryptFile(state.currentFile);
+    const result = await mutateFile('Encrypt all values', version => encryptFile(state.currentFile, version));
+    if (!result) return;
     
     // Refresh file content
-    const data = await fetchFileContent(state.currentFile);
-    state.entries = data.entries;
-    renderEntries();
+    await refreshCurrentFile();
     
     showToast('File encrypted successfully');
   } catch (err) {
@@ -718,14 +1400,1003 @@ async function handleEncrypt() {
   }
 }
 
-// ============================================
-// Event Listeners
-// ============================================
-function initEventListeners() {
-  // File selection
-  elements.fileList.addEventListener('click', (e) => {
-    const fileItem = e.target.closest('.file-item');
-    if (fileItem) {
+async function handleDecryptFile() {
+  if (!state.currentFile) return;
+  
+  if (!confirm(`Decrypt all values in ${state.currentFile}?\n\n⚠️ Secrets will be stored in the clear on disk.`)) {
+    return;
+  }
+  
+  try {
+    elements.btnDecrypt.disabled = true;
+    elements.btnDecrypt.innerHTML = '<span class="spinner"></span> Decrypting...';
+    
+    const result = await mutateFile('Decrypt all values', version => decryptFile(state.currentFile, version));
+    if (!result) return;
+    
+    // Refresh file content
+    await refreshCurrentFile();
+    
+    showToast(`Decrypted ${result.keys.length} value(s)`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    elements.btnDecrypt.disabled = false;
+    elements.btnDecrypt.innerHTML = '<span class="icon">🔓</span> Decrypt';
+  }
+}
+
+async function handleRotateKey() {
+  if (!state.currentFile) return;
+  
+  if (!confirm(`Rotate the key for ${state.currentFile}?\n\nA new keypair is generated and all encrypted values are re-encrypted. The old private key will no longer work, and snapshots taken before the rotation can't be restored. The old .env.keys is kept in ~/.envx-ui/history.`)) {
+    return;
+  }
+  
+  try {
+    elements.btnRotate.disabled = true;
+    elements.btnRotate.innerHTML = '<span class="spinner"></span> Rotating...';
+    
+    const result = await mutateFile('Rotate key', version => rotateKey(state.currentFile, version));
+    if (!result) return;
+    
+    // Refresh file content
+    await refreshCurrentFile();
+    
+    showToast(result.keys.length > 0
+      ? `Key rotated. Re-encrypted: ${result.keys.join(', ')}`
+      : 'Key rotated. No encrypted values');
+  } catch (err) {
+    showToast(err.message, 'error');
+  } finally {
+    elements.btnRotate.disabled = false;
+    elements.btnRotate.innerHTML = '<span class="icon">🔄</span> Rotate key';
+  }
+}
+
+async function openSetupKeys() {
+  if (state.files.length === 0) {
+    showToast('No .env files to set up', 'error');
+    return;
+  }
+  
+  const container = document.getElementById('setup-keys-files');
+  container.innerHTML = state.files.map(file => `
+    <label class="checkbox-item">
+      <input type="checkbox" name="setup-file" value="${escapeHtml(file)}" checked>
+      <span>${escapeHtml(file)}</span>
+    </label>
+  `).join('');
+  
+  openModal(elements.modalSetupKeys);
+  
+  // Don't offer .gitignore when it already covers .env.keys
+  try {
+    const info = await fetchKeysInfo();
+    const gitignoreInput = document.getElementById('setup-keys-gitignore');
+    gitignoreInput.checked = !info.keysFileIgnored;
+    gitignoreInput.disabled = info.keysFileIgnored;
+  } catch (err) {
+    console.error('Failed to load keys info:', err);
+  }
+}
+
+async function handleSetupKeys(e) {
+  e.preventDefault();
+  
+  const files = [...elements.formSetupKeys.querySelectorAll('input[name="setup-file"]:checked')]
+    .map(input => input.value);
+  const gitignoreInput = document.getElementById('setup-keys-gitignore');
+  const gitignore = gitignoreInput.checked && !gitignoreInput.disabled;
+  
+  if (files.length === 0) {
+    showToast('Select at least one file', 'error');
+    return;
+  }
+  
+  try {
+    const result = await mutateFiles(listedVersions(files), versions => initKeys(files, gitignore, versions));
+    if (!result) return;
+    
+    Object.assign(state.fileVersions, result.versions);
+    closeModal(elements.modalSetupKeys);
+    renderKeysStatus(true);
+    
+    if (state.currentFile) {
+      await refreshCurrentFile();
+    }
+    
+    showToast(`Generated keys for ${result.files.length} file(s)${result.gitignored ? ', updated .gitignore' : ''}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ============================================
+// Conflicts
+// ============================================
+
+// Run a change against the open file with the version it was loaded at.
+// If the file changed on disk in the meantime, both versions are shown and
+// the user either applies the change on top of the new content or drops it.
+// Returns null if the change was dropped.
+async function mutateFile(description, request) {
+  let result;
+  
+  try {
+    result = await request(state.version);
+  } catch (err) {
+    if (err.status !== 409 || !err.data.entries) throw err;
+    
+    if (!await showConflict(description, err.data.entries)) {
+      await refreshCurrentFile();
+      return null;
+    }
+    
+    result = await request(err.data.version);
+  }
+  
+  state.version = result.version;
+  state.fileVersions[state.currentFile] = result.version;
+  return result;
+}
+
+// Same for changes to files other than the open one, made with the versions
+// they were listed at: when one changed on disk the user is asked before the
+// change goes ahead on its new content. Returns null if the user stopped.
+async function mutateFiles(versions, request) {
+  const current = { ...versions };
+  
+  for (;;) {
+    try {
+      return await request(current);
+    } catch (err) {
+      if (err.status !== 409 || !err.data.entries) throw err;
+      
+      if (!confirm(`${err.data.file} was changed on disk since it was loaded.\n\nOK to go ahead anyway, Cancel to stop.`)) {
+        return null;
+      }
+      current[err.data.file] = err.data.version;
+    }
+  }
+}
+
+// Versions of files as listed, null for ones that don't exist yet
+function listedVersions(files) {
+  return Object.fromEntries(files.map(file => [file, state.fileVersions[file] ?? null]));
+}
+
+function showConflict(description, diskEntries) {
+  state.conflict = { description, diskEntries };
+  elements.conflictShowValues.checked = false;
+  renderConflict();
+  openModal(elements.modalConflict);
+  
+  return new Promise(resolve => {
+    state.conflict.resolve = resolve;
+  });
+}
+
+function settleConflict(apply) {
+  if (!state.conflict) return;
+  
+  const { resolve } = state.conflict;
+  state.conflict = null;
+  closeModal(elements.modalConflict);
+  resolve(apply);
+}
+
+function renderConflict() {
+  const { description, diskEntries } = state.conflict;
+  const showValues = elements.conflictShowValues.checked;
+  const valueOf = entry => entry.decryptedValue !== null ? entry.decryptedValue : entry.value;
+  const loaded = new Map(state.entries.map(e => [e.key, valueOf(e)]));
+  const disk = new Map(diskEntries.map(e => [e.key, valueOf(e)]));
+  const diff = { changed: [], added: [], removed: [] };
+  
+  for (const key of new Set([...loaded.keys(), ...disk.keys()])) {
+    const item = {
+      key,
+      before: loaded.has(key) ? loaded.get(key) : null,
+      after: disk.has(key) ? disk.get(key) : null
+    };
+    
+    if (item.before === null) {
+      diff.added.push(item);
+    } else if (item.after === null) {
+      diff.removed.push(item);
+    } else if (item.before !== item.after) {
+      diff.changed.push(item);
+    }
+  }
+  
+  elements.conflictMessage.innerHTML = `
+    ${escapeHtml(state.currentFile)} was changed outside this window since it was loaded.<br>
+    Your change: <strong>${escapeHtml(description)}</strong>
+  `;
+  
+  const value = v => v === null
+    ? '<td class="diff-value absent">—</td>'
+    : `<td class="compare-cell diff-value">${showValues ? escapeHtml(v) : maskValue(v)}</td>`;
+  
+  const sections = [
+    ['changed', 'Changed on disk'],
+    ['added', 'Added on disk'],
+    ['removed', 'Removed on disk']
+  ];
+  
+  const body = sections
+    .filter(([type]) => diff[type].length > 0)
+    .map(([type, title]) => `
+      <tr class="diff-section"><td colspan="3">${escapeHtml(title)} (${diff[type].length})</td></tr>
+      ${diff[type].map(item => `
+        <tr class="diff-row ${type}">
+          <td class="compare-key">${escapeHtml(item.key)}</td>
+          ${value(item.before)}
+          ${value(item.after)}
+        </tr>
+      `).join('')}
+    `).join('');
+  
+  elements.conflictDiff.innerHTML = body ? `
+    <table class="compare-table diff-table">
+      <thead>
+        <tr>
+          <th>KEY</th>
+          <th>LOADED</th>
+          <th>ON DISK</th>
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+  ` : '<div class="empty-state">Same keys and values; only comments or formatting changed</div>';
+}
+
+// ============================================
+// Import
+// ============================================
+function openImport() {
+  // Encrypting only makes sense when the file is already encrypted
+  const encrypted = state.entries.some(entry => entry.encrypted || entry.key.startsWith('DOTENV_PUBLIC_KEY'));
+  const encryptInput = document.getElementById('import-encrypt');
+  encryptInput.disabled = !encrypted;
+  encryptInput.checked = encrypted;
+  
+  openModal(elements.modalImport);
+}
+
+function clearImportPreview() {
+  elements.importPreview.classList.add('hidden');
+  elements.importPreview.innerHTML = '';
+}
+
+function handleImportFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    document.getElementById('import-content').value = reader.result;
+    clearImportPreview();
+  };
+  reader.onerror = () => showToast(`Could not read ${file.name}`, 'error');
+  reader.readAsText(file);
+}
+
+async function handleImportPreview() {
+  const content = document.getElementById('import-content').value;
+  const format = document.getElementById('import-format').value;
+  
+  if (!content.trim()) {
+    showToast('Nothing to import', 'error');
+    return;
+  }
+  
+  try {
+    const data = await previewImport(state.currentFile, content, format);
+    
+    if (data.entries.length === 0) {
+      elements.importPreview.innerHTML = '<div class="empty-state">No keys found</div>';
+    } else {
+      elements.importPreview.innerHTML = `
+        <table class="compare-table">
+          <tbody>
+            ${data.entries.map(item => `
+              <tr>
+                <td class="compare-key">${escapeHtml(item.key)}</td>
+                <td>
+                  <span class="import-status ${item.status}">${item.status}</span>
+                  ${item.error ? `<span class="form-hint">${escapeHtml(item.error)}</span>` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+    elements.importPreview.classList.remove('hidden');
+    
+    const counts = ['new', 'update', 'unchanged', 'invalid']
+      .map(status => [status, data.entries.filter(item => item.status === status).length])
+      .filter(([, count]) => count > 0)
+      .map(([status, count]) => `${count} ${status}`);
+    showToast(`Detected ${data.format}: ${counts.join(', ') || 'no keys'}`);
+  } catch (err) {
+    clearImportPreview();
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleImport(e) {
+  e.preventDefault();
+  
+  const content = document.getElementById('import-content').value;
+  const format = document.getElementById('import-format').value;
+  const overwrite = document.getElementById('import-overwrite').checked;
+  const encryptInput = document.getElementById('import-encrypt');
+  const encrypt = !encryptInput.disabled && encryptInput.checked;
+  
+  try {
+    const result = await mutateFile('Import keys', version => importKeys(state.currentFile, content, format, overwrite, encrypt, version));
+    if (!result) return;
+    
+    closeModal(elements.modalImport);
+    await refreshCurrentFile();
+    
+    const skipped = result.skipped.length > 0 ? `, skipped ${result.skipped.length}` : '';
+    showToast(`Imported ${result.added.length} new, ${result.updated.length} updated${skipped}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ============================================
+// Export
+// ============================================
+function toggleExportMenu() {
+  // Plaintext export is chosen again for every download
+  elements.exportDecrypt.checked = false;
+  elements.exportMenu.classList.toggle('hidden');
+}
+
+function closeExportMenu() {
+  elements.exportMenu.classList.add('hidden');
+}
+
+async function handleExport(format) {
+  const decrypt = elements.exportDecrypt.checked;
+  closeExportMenu();
+  
+  try {
+    const { blob, filename } = await exportFile(state.currentFile, format, decrypt);
+    const item = elements.exportMenu.querySelector(`[data-export-format="${format}"]`);
+    
+    // Trigger the download through a temporary link
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+    
+    let note = '';
+    if (state.entries.some(entry => entry.encrypted)) {
+      if (!decrypt) {
+        note = ' (values still encrypted)';
+      } else if (!state.hasPrivateKey) {
+        note = ' (values still encrypted, no private key)';
+      } else {
+        note = ' with plaintext secrets';
+      }
+    }
+    showToast(`Exported ${state.currentFile} as ${item.textContent}${note}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ============================================
+// .env.example
+// ============================================
+const EXAMPLE_FILE = '.env.example';
+
+// The .env.example next to an env file (files in subdirectories have their own)
+function getExampleFile(filename) {
+  const dir = getDirName(filename);
+  return dir ? `${dir}/${EXAMPLE_FILE}` : EXAMPLE_FILE;
+}
+
+async function loadExampleDrift() {
+  try {
+    renderExampleDrift(await fetchExampleDrift());
+  } catch (err) {
+    elements.exampleDrift.classList.add('hidden');
+  }
+}
+
+function renderExampleDrift(drift) {
+  // Nothing to compare against without a template or other files
+  if (!drift.exists || state.files.length < 2) {
+    elements.exampleDrift.classList.add('hidden');
+    return;
+  }
+  
+  const items = [];
+  
+  if (drift.missingFromExample.length > 0) {
+    const keys = drift.missingFromExample.map(item => `${item.key} (${item.files.join(', ')})`).join('\n');
+    items.push(`
+      <div class="drift-item warning" title="${escapeHtml(keys)}">
+        <span>⚠ ${drift.missingFromExample.length} key(s) missing from ${EXAMPLE_FILE}</span>
+        <button id="btn-sync-example" class="btn btn-sm btn-ghost" title="Add missing keys with empty values">Sync</button>
+      </div>
+    `);
+  }
+  
+  drift.missingFromFiles.forEach(item => {
+    items.push(`
+      <div class="drift-item warning" title="${escapeHtml(item.keys.join('\n'))}">
+        <span>⚠ ${escapeHtml(item.file)} lacks ${item.keys.length} example key(s)</span>
+      </div>
+    `);
+  });
+  
+  if (items.length === 0) {
+    items.push(`<div class="drift-item ok"><span>✓ ${EXAMPLE_FILE} in sync</span></div>`);
+  }
+  
+  elements.exampleDrift.innerHTML = items.join('');
+  elements.exampleDrift.classList.remove('hidden');
+  
+  const btnSync = document.getElementById('btn-sync-example');
+  if (btnSync) {
+    btnSync.addEventListener('click', handleSyncExample);
+  }
+}
+
+async function refreshAfterExampleChange(exampleFile = EXAMPLE_FILE) {
+  const data = await fetchFiles();
+  renderFileList(data.files, data.versions);
+  
+  if (state.currentFile === exampleFile) {
+    await refreshCurrentFile();
+  } else {
+    loadFolderStatus();
+  }
+}
+
+async function handleGenerateExample() {
+  const source = state.currentFile;
+  const exampleFile = getExampleFile(source);
+  const overwrite = state.files.includes(exampleFile);
+  
+  if (overwrite && !confirm(`Overwrite ${exampleFile} with the keys and comments of ${source}?`)) {
+    return;
+  }
+  
+  try {
+    const result = await mutateFiles(listedVersions([exampleFile]), versions =>
+      generateExample(source, overwrite, versions)
+    );
+    if (!result) return;
+    
+    await refreshAfterExampleChange(result.file);
+    showToast(`Wrote ${result.keys.length} key(s) to ${result.file}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleSyncExample() {
+  try {
+    const result = await mutateFiles(listedVersions([EXAMPLE_FILE]), versions => syncExample(versions));
+    if (!result) return;
+    
+    await refreshAfterExampleChange();
+    showToast(`Added ${result.added.length} key(s) to ${EXAMPLE_FILE}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ============================================
+// History
+// ============================================
+async function openHistory() {
+  state.history = null;
+  document.getElementById('history-title').textContent = `History · ${state.currentFile}`;
+  elements.historyDiff.innerHTML = '';
+  openModal(elements.modalHistory);
+  await loadHistory();
+}
+
+async function loadHistory() {
+  elements.historyList.innerHTML = '<div class="empty-state"><span class="spinner"></span> Loading...</div>';
+  
+  try {
+    const data = await fetchHistory(state.currentFile);
+    
+    if (data.snapshots.length === 0) {
+      elements.historyList.innerHTML = '<div class="empty-state">No snapshots yet. One is saved before every write.</div>';
+      elements.historyDiff.innerHTML = '';
+      return;
+    }
+    
+    elements.historyList.innerHTML = data.snapshots.map(snapshot => `
+      <button class="history-item" data-snapshot="${snapshot.id}">
+        <span class="history-time">${escapeHtml(new Date(snapshot.timestamp).toLocaleString())}</span>
+        <span class="history-keys" title="${escapeHtml(snapshot.changedKeys.join(', '))}">
+          ${snapshot.changedKeys.length > 0 ? escapeHtml(snapshot.changedKeys.join(', ')) : 'formatting only'}
+        </span>
+      </button>
+    `).join('');
+    
+    elements.historyList.querySelectorAll('[data-snapshot]').forEach(item => {
+      item.addEventListener('click', () => loadSnapshotDiff(item.dataset.snapshot));
+    });
+    
+    await loadSnapshotDiff(data.snapshots[0].id);
+  } catch (err) {
+    elements.historyList.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+async function loadSnapshotDiff(id) {
+  elements.historyList.querySelectorAll('[data-snapshot]').forEach(item => {
+    item.classList.toggle('active', item.dataset.snapshot === id);
+  });
+  
+  try {
+    state.history = { id, diff: await fetchSnapshotDiff(state.currentFile, id) };
+    renderSnapshotDiff();
+  } catch (err) {
+    elements.historyDiff.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderSnapshotDiff() {
+  if (!state.history) return;
+  
+  const { id, diff } = state.history;
+  const showValues = elements.historyShowValues.checked;
+  const value = v => v === null
+    ? '<td class="diff-value absent">—</td>'
+    : `<td class="compare-cell diff-value">${showValues ? escapeHtml(v) : maskValue(v)}</td>`;
+  
+  // Sections describe what restoring would do to the current file
+  const sections = [
+    ['changed', 'Changed since snapshot'],
+    ['removed', 'Restoring adds back'],
+    ['added', 'Restoring removes']
+  ];
+  
+  const body = sections
+    .filter(([type]) => diff[type].length > 0)
+    .map(([type, title]) => `
+      <tr class="diff-section"><td colspan="3">${escapeHtml(title)} (${diff[type].length})</td></tr>
+      ${diff[type].map(item => `
+        <tr class="diff-row ${type}">
+          <td class="compare-key">${escapeHtml(item.key)}</td>
+          ${value(item.before)}
+          ${value(item.after)}
+        </tr>
+      `).join('')}
+    `).join('');
+  
+  // Ciphertext from before a key rotation can't be decrypted any more
+  elements.historyDiff.innerHTML = `
+    <div class="history-actions">
+      ${diff.rotated ? `
+        <span class="history-warning">🔑 Encrypted with a key that has since been rotated</span>
+      ` : ''}
+      <button class="btn btn-sm btn-warning" id="btn-restore-snapshot" ${diff.rotated ? 'disabled' : ''}>Restore this snapshot</button>
+    </div>
+    ${body ? `
+      <table class="compare-table diff-table">
+        <thead>
+          <tr>
+            <th>KEY</th>
+            <th>SNAPSHOT</th>
+            <th>CURRENT</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    ` : '<div class="empty-state">Same keys and values as the current file</div>'}
+  `;
+  
+  document.getElementById('btn-restore-snapshot').addEventListener('click', () => handleRestoreSnapshot(id));
+}
+
+async function handleRestoreSnapshot(id) {
+  if (!confirm(`Restore ${state.currentFile} to this snapshot?\n\nThe current content is saved as a new snapshot first.`)) return;
+  
+  try {
+    const result = await mutateFile('Restore snapshot', version => restoreSnapshot(state.currentFile, id, version));
+    if (!result) return;
+    
+    await refreshCurrentFile();
+    await loadHistory();
+    showToast(`Restored ${state.currentFile}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ============================================
+// Activity
+// ============================================
+let activitySearchTimeout = null;
+
+async function openActivity() {
+  // Start with the current folder and file
+  elements.activityFolder.innerHTML = `<option value="${escapeHtml(state.cwd)}">${escapeHtml(state.cwd)}</option>`;
+  elements.activityFolder.value = state.cwd;
+  elements.activityFile.innerHTML = state.currentFile
+    ? `<option value="${escapeHtml(state.currentFile)}">${escapeHtml(state.currentFile)}</option>`
+    : '';
+  elements.activityFile.value = state.currentFile || '';
+  elements.activityKey.value = '';
+  
+  openModal(elements.modalActivity);
+  await loadActivity();
+}
+
+async function loadActivity() {
+  const filters = {
+    folder: elements.activityFolder.value,
+    file: elements.activityFile.value,
+    key: elements.activityKey.value.trim()
+  };
+  
+  try {
+    const data = await fetchActivity(filters);
+    
+    const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+    elements.activityFolder.innerHTML = option('', 'All folders') +
+      [...new Set([...data.folders, filters.folder].filter(Boolean))].map(f => option(f, f)).join('');
+    elements.activityFolder.value = filters.folder;
+    elements.activityFile.innerHTML = option('', 'All files') +
+      [...new Set([...data.files, filters.file].filter(Boolean))].map(f => option(f, f)).join('');
+    elements.activityFile.value = filters.file;
+    
+    renderActivity(data.records);
+  } catch (err) {
+    elements.activityContainer.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderActivity(records) {
+  if (records.length === 0) {
+    elements.activityContainer.innerHTML = '<div class="empty-state">No matching activity</div>';
+    return;
+  }
+  
+  elements.activityContainer.innerHTML = `
+    <table class="compare-table">
+      <thead>
+        <tr>
+          <th>TIME</th>
+          <th>USER</th>
+          <th>FOLDER</th>
+          <th>FILE</th>
+          <th>KEY</th>
+          <th>OPERATION</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${records.map(record => `
+          <tr>
+            <td class="activity-time">${escapeHtml(new Date(record.timestamp).toLocaleString())}</td>
+            <td>${escapeHtml(record.user || '')}</td>
+            <td class="activity-folder" title="${escapeHtml(record.folder)}">${escapeHtml(record.folder)}</td>
+            <td class="compare-key">${escapeHtml(record.file)}</td>
+            <td class="compare-key">${record.key ? escapeHtml(record.key) : '—'}</td>
+            <td>
+              <span class="activity-operation">${escapeHtml(record.operation)}</span>
+              ${record.encrypted ? '<span title="Encrypted">🔐</span>' : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// ============================================
+// Live Reload
+// ============================================
+function connectEvents() {
+  const events = new EventSource('/api/events');
+  events.addEventListener('change', (e) => handleDiskChange(JSON.parse(e.data)));
+}
+
+// Env files or .env.keys were changed outside envx-ui (editor, dotenvx CLI)
+async function handleDiskChange({ cwd, files }) {
+  if (cwd !== state.cwd) return;
+  
+  try {
+    const data = await fetchFiles();
+    renderFileList(data.files, data.versions);
+    renderKeysStatus(data.hasKeys);
+    loadFolderStatus();
+    
+    if (!state.currentFile) return;
+    
+    if (!data.files.includes(state.currentFile)) {
+      showToast(`${state.currentFile} was removed on disk`, 'error');
+      clearCurrentFile();
+      if (data.files.length > 0) {
+        selectFile(data.files[0]);
+      }
+      return;
+    }
+    
+    // An empty list means the platform didn't say which file changed
+    const affected = files.length === 0 || files.includes(state.currentFile) || files.includes(getKeysFile(state.currentFile));
+    if (!affected) return;
+    
+    // Keep the version an open edit was started from: saving it then shows
+    // the file on disk next to the edit (see mutateFile) instead of
+    // overwriting a change the user never saw
+    if (state.editingKey) {
+      if (!state.changedWhileEditing) {
+        state.changedWhileEditing = true;
+        showToast(`${state.currentFile} was changed on disk while you were editing`, 'error');
+      }
+      return;
+    }
+    
+    const before = JSON.stringify(state.entries);
+    await refreshCurrentFile();
+    
+    if (JSON.stringify(state.entries) !== before) {
+      showToast(`${state.currentFile} changed on disk`);
+    }
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ============================================
+// Compare View
+// ============================================
+async function openCompare() {
+  openModal(elements.modalCompare);
+  await loadCompare();
+}
+
+async function loadCompare() {
+  elements.compareContainer.innerHTML = '<div class="empty-state"><span class="spinner"></span> Loading...</div>';
+  
+  try {
+    const data = await fetchCompare(elements.compareShowValues.checked);
+    state.compareVersions = data.versions;
+    renderCompare(data);
+  } catch (err) {
+    elements.compareContainer.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderCompareCell(cell, file, key, showValues) {
+  if (cell.status === 'missing') {
+    return `
+      <td class="compare-cell missing" data-file="${escapeHtml(file)}" data-key="${escapeHtml(key)}" title="Add ${escapeHtml(key)} to ${escapeHtml(file)}">
+        ✗ missing
+      </td>
+    `;
+  }
+  
+  const icon = cell.status === 'encrypted' ? '🔐' : '✓';
+  let value = '';
+  if (showValues) {
+    value = cell.value === null
+      ? '<span class="compare-value">(no key)</span>'
+      : `<span class="compare-value">${escapeHtml(cell.value)}</span>`;
+  }
+  
+  return `<td class="compare-cell ${cell.status}" title="${cell.status}">${icon}${value}</td>`;
+}
+
+function renderCompare(data) {
+  const showValues = elements.compareShowValues.checked;
+  const rows = elements.compareMissingOnly.checked
+    ? data.rows.filter(row => row.missing > 0)
+    : data.rows;
+  
+  if (data.files.length === 0 || rows.length === 0) {
+    elements.compareContainer.innerHTML = `<div class="empty-state">${data.files.length === 0 ? 'No .env files found' : 'No keys to show'}</div>`;
+    return;
+  }
+  
+  elements.compareContainer.innerHTML = `
+    <table class="compare-table">
+      <thead>
+        <tr>
+          <th>KEY</th>
+          ${data.files.map(file => `<th>${escapeHtml(file)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr class="${row.missing > 0 ? 'has-missing' : ''}">
+            <td class="compare-key">${escapeHtml(row.key)}</td>
+            ${row.cells.map((cell, i) => renderCompareCell(cell, data.files[i], row.key, showValues)).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  elements.compareContainer.querySelectorAll('.compare-cell.missing').forEach(cell => {
+    cell.addEventListener('click', () => {
+      openAddKeyFor(cell.dataset.file, cell.dataset.key);
+    });
+  });
+}
+
+function openAddKeyFor(filename, key) {
+  openModal(elements.modalAddKey);
+  state.addKeyTarget = filename;
+  document.getElementById('new-key-name').value = key;
+  setTimeout(() => document.getElementById('new-key-value').focus(), 100);
+}
+
+// ============================================
+// Diff View
+// ============================================
+async function openDiff() {
+  if (state.files.length < 2) {
+    showToast('Need at least two .env files to diff', 'error');
+    return;
+  }
+  
+  const options = state.files.map(file => `<option value="${escapeHtml(file)}">${escapeHtml(file)}</option>`).join('');
+  elements.diffLeft.innerHTML = options;
+  elements.diffRight.innerHTML = options;
+  
+  // Default: current file on the left, the next file on the right
+  const leftIndex = Math.max(0, state.files.indexOf(state.currentFile));
+  elements.diffLeft.value = state.files[leftIndex];
+  elements.diffRight.value = state.files[(leftIndex + 1) % state.files.length];
+  
+  openModal(elements.modalDiff);
+  await loadDiff();
+}
+
+async function loadDiff() {
+  const left = elements.diffLeft.value;
+  const right = elements.diffRight.value;
+  
+  if (left === right) {
+    state.diff = null;
+    elements.diffContainer.innerHTML = '<div class="empty-state">Pick two different files</div>';
+    return;
+  }
+  
+  elements.diffContainer.innerHTML = '<div class="empty-state"><span class="spinner"></span> Loading...</div>';
+  
+  try {
+    state.diff = await fetchDiff(left, right);
+    renderDiff();
+  } catch (err) {
+    elements.diffContainer.innerHTML = `<div class="empty-state">Error: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderDiffValue(side, showValues) {
+  if (!side) {
+    return '<td class="diff-value absent">—</td>';
+  }
+  
+  const icon = side.encrypted ? '🔐 ' : '';
+  let text;
+  if (!side.readable) {
+    text = '(no key)';
+  } else {
+    text = showValues ? escapeHtml(side.value) : maskValue(side.value);
+  }
+  
+  return `<td class="compare-cell diff-value">${icon}${text}</td>`;
+}
+
+function renderDiff() {
+  const diff = state.diff;
+  if (!diff) return;
+  
+  const showValues = elements.diffShowValues.checked;
+  const sections = [
+    ['changed', 'Changed'],
+    ['added', `Only in ${diff.right}`],
+    ['removed', `Only in ${diff.left}`]
+  ];
+  if (elements.diffShowIdentical.checked) {
+    sections.push(['identical', 'Identical']);
+  }
+  
+  const body = sections
+    .filter(([type]) => diff[type].length > 0)
+    .map(([type, title]) => `
+      <tr class="diff-section"><td colspan="4">${escapeHtml(title)} (${diff[type].length})</td></tr>
+      ${diff[type].map(item => `
+        <tr class="diff-row ${type}">
+          <td class="compare-key">${escapeHtml(item.key)}</td>
+          ${renderDiffValue(item.left, showValues)}
+          ${renderDiffValue(item.right, showValues)}
+          <td>
+            ${item.left && type !== 'identical' ? `
+              <button 
+                class="btn btn-sm btn-ghost" 
+                data-copy-key="${escapeHtml(item.key)}"
+                title="Copy value from ${escapeHtml(diff.left)} to ${escapeHtml(diff.right)}"
+                ${!item.left.readable ? 'disabled' : ''}
+              >
+                Copy →
+              </button>
+            ` : ''}
+          </td>
+        </tr>
+      `).join('')}
+    `).join('');
+  
+  if (!body) {
+    elements.diffContainer.innerHTML = '<div class="empty-state">Files are identical</div>';
+    return;
+  }
+  
+  elements.diffContainer.innerHTML = `
+    <table class="compare-table diff-table">
+      <thead>
+        <tr>
+          <th>KEY</th>
+          <th>${escapeHtml(diff.left)}</th>
+          <th>${escapeHtml(diff.right)}</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+  
+  elements.diffContainer.querySelectorAll('[data-copy-key]').forEach(btn => {
+    btn.addEventListener('click', () => copyDiffKey(btn.dataset.copyKey));
+  });
+}
+
+async function copyDiffKey(key) {
+  const diff = state.diff;
+  const item = ['changed', 'removed']
+    .flatMap(type => diff[type])
+    .find(i => i.key === key);
+  if (!item) return;
+  
+  try {
+    const result = await mutateFiles({ [diff.right]: diff.versions[diff.right] }, versions =>
+      copyKeys(diff.left, diff.right, [key], true, versions[diff.right])
+    );
+    
+    if (result) {
+      showToast(`Copied ${key} to ${diff.right}`);
+    }
+    
+    if (diff.right === state.currentFile) {
+      await refreshCurrentFile();
+    }
+    await loadDiff();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ============================================
+// Event Listeners
+// ============================================
+function initEventListeners() {
+  // File selection
+  elements.fileList.addEventListener('click', (e) => {
+    const fileItem = e.target.closest('.file-item');
+    if (fileItem) {
       selectFile(fileItem.dataset.file);
     }
   });
@@ -743,12 +2414,78 @@ function initEventListeners() {
   // Encrypt button
   elements.btnEncrypt.addEventListener('click', handleEncrypt);
   
+  // Decrypt button
+  elements.btnDecrypt.addEventListener('click', handleDecryptFile);
+  
+  // Rotate key button
+  elements.btnRotate.addEventListener('click', handleRotateKey);
+  
   // Add key form
   elements.formAddKey.addEventListener('submit', handleAddKey);
   
   // New file form
   elements.formNewFile.addEventListener('submit', handleNewFile);
   
+  // Compare view
+  elements.btnCompare.addEventListener('click', openCompare);
+  elements.compareShowValues.addEventListener('change', loadCompare);
+  elements.compareMissingOnly.addEventListener('change', loadCompare);
+  
+  // Key selection and copy
+  elements.selectAllKeys.addEventListener('change', toggleSelectAll);
+  elements.btnCopyKeys.addEventListener('click', openCopyKeys);
+  elements.formCopyKeys.addEventListener('submit', handleCopyKeys);
+  
+  // .env.example
+  elements.btnGenerateExample.addEventListener('click', handleGenerateExample);
+  
+  // Conflict dialog
+  elements.conflictShowValues.addEventListener('change', renderConflict);
+  document.getElementById('btn-conflict-apply').addEventListener('click', () => settleConflict(true));
+  document.getElementById('btn-conflict-discard').addEventListener('click', () => settleConflict(false));
+  
+  // Activity log
+  elements.btnActivity.addEventListener('click', openActivity);
+  elements.btnRecursive.addEventListener('click', handleToggleRecursive);
+  elements.activityFolder.addEventListener('change', () => {
+    elements.activityFile.value = '';
+    loadActivity();
+  });
+  elements.activityFile.addEventListener('change', loadActivity);
+  elements.activityKey.addEventListener('input', () => {
+    clearTimeout(activitySearchTimeout);
+    activitySearchTimeout = setTimeout(loadActivity, 200);
+  });
+  
+  // History
+  elements.btnHistory.addEventListener('click', openHistory);
+  elements.historyShowValues.addEventListener('change', renderSnapshotDiff);
+  
+  // Import
+  elements.btnImport.addEventListener('click', openImport);
+  elements.formImport.addEventListener('submit', handleImport);
+  document.getElementById('btn-import-preview').addEventListener('click', handleImportPreview);
+  document.getElementById('import-file').addEventListener('change', handleImportFile);
+  document.getElementById('import-content').addEventListener('input', clearImportPreview);
+  document.getElementById('import-format').addEventListener('change', clearImportPreview);
+  
+  // Export menu
+  elements.btnExport.addEventListener('click', toggleExportMenu);
+  elements.exportMenu.querySelectorAll('[data-export-format]').forEach(item => {
+    item.addEventListener('click', () => handleExport(item.dataset.exportFormat));
+  });
+  
+  // Diff view
+  elements.btnDiff.addEventListener('click', openDiff);
+  elements.diffLeft.addEventListener('change', loadDiff);
+  elements.diffRight.addEventListener('change', loadDiff);
+  elements.diffShowValues.addEventListener('change', renderDiff);
+  elements.diffShowIdentical.addEventListener('change', renderDiff);
+  
+  // Setup encryption
+  elements.btnSetupKeys.addEventListener('click', openSetupKeys);
+  elements.formSetupKeys.addEventListener('submit', handleSetupKeys);
+  
   // Modal close buttons
   document.querySelectorAll('[data-close-modal]').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -857,8 +2594,12 @@ function initEventListeners() {
     });
   }
   
-  // Close folder panel when clicking outside
+  // Close folder panel and export menu when clicking outside
   document.addEventListener('click', (e) => {
+    if (!elements.btnExport.contains(e.target) && !elements.exportMenu.contains(e.target)) {
+      closeExportMenu();
+    }
+    
     if (state.folderPanelOpen) {
       const isInsidePanel = elements.folderPanel.contains(e.target);
       const isToggleButton = elements.btnFolder.contains(e.target);
@@ -873,6 +2614,8 @@ function initEventListeners() {
   document.addEventListener('keydown', (e) => {
     // Escape to cancel edit or close modal/panel
     if (e.key === 'Escape') {
+      closeExportMenu();
+      
       if (state.folderPanelOpen) {
         closeFolderPanel();
       } else if (state.editingKey) {
@@ -920,6 +2663,8 @@ function initEventListeners() {
 // ============================================
 function init() {
   initEventListeners();
+  loadFolderStatus();
+  connectEvents();
   
   // Initialize folder info
   if (window.__INITIAL_DATA__?.folderInfo) {
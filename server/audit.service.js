@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const folderService = require('./folder.service');
+
+// One JSON record per line, shared by every folder opened with envx-ui
+const AUDIT_FILE = path.join(folderService.CONFIG_DIR, 'audit.log');
+
+/**
+ * Get the name of the OS user running envx-ui
+ * @returns {string|null}
+ */
+function getUser() {
+  try {
+    return os.userInfo().username;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Append change records to the audit log
+ * Values are never logged, only which key changed and how.
+ * @param {object} change - { folder, file, operation, encrypted }
+ * @param {Array} keys - Keys affected; [null] for file-level operations
+ */
+function record(change, keys = [null]) {
+  const timestamp = new Date().toISOString();
+  const user = getUser();
+
+  const lines = keys.map(key => JSON.stringify({
+    timestamp,
+    user,
+    folder: change.folder,
+    file: change.file,
+    key,
+    operation: change.operation,
+    encrypted: !!change.encrypted
+  }) + '\n');
+
+  try {
+    fs.mkdirSync(folderService.CONFIG_DIR, { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, lines.join(''), { encoding: 'utf8', mode: 0o600 });
+  } catch (err) {
+    console.error('Error writing audit log:', err.message);
+  }
+}
+
+/**
+ * Read audit records, newest first
+ * `folder` and `file` match exactly, `key` matches case-insensitively anywhere in the key.
+ * @param {object} filters - { folder, file, key }
+ * @param {number} limit - Maximum number of records
+ * @returns {object} - { records, folders, files } with the known folders/files for filtering
+ */
+function readLog(filters = {}, limit = 500) {
+  let records = [];
+
+  try {
+    if (fs.existsSync(AUDIT_FILE)) {
+      records = fs.readFileSync(AUDIT_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (err) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    }
+  } catch (err) {
+    console.error('Error reading audit log:', err.message);
+  }
+
+  const folders = [...new Set(records.map(r => r.folder))].sort();
+  const files = [...new Set(records
+    .filter(r => !filters.folder || r.folder === filters.folder)
+    .map(r => r.file))].sort();
+
+  const key = filters.key ? filters.key.toLowerCase() : null;
+  const matching = records.filter(r =>
+    (!filters.folder || r.folder === filters.folder) &&
+    (!filters.file || r.file === filters.file) &&
+    (!key || (r.key && r.key.toLowerCase().includes(key)))
+  );
+
+  return {
+    records: matching.reverse().slice(0, limit),
+    folders,
+    files
+  };
+}
+
+module.exports = {
+  record,
+  readLog
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Hosts the browser can use to reach the server (it only listens on 127.0.0.1)
+const LOCAL_HOSTNAMES = ['127.0.0.1', 'localhost'];
+
+/**
+ * Generate a random token
+ * @returns {string} - 64 hex characters
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Compare a token without leaking where it differs through timing
+ * @param {string} actual - Token sent by the client
+ * @param {string} expected - Token issued by the server
+ * @returns {boolean}
+ */
+function tokensMatch(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') {
+    return false;
+  }
+
+  const a = Buffer.from(actual);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Get the session cookie name for this server
+ * Cookies are shared between ports, so each instance needs its own name.
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+function getCookieName(req) {
+  return `envx_ui_${req.socket.localPort}`;
+}
+
+/**
+ * Read a cookie from the request
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      // A malformed cookie counts as no session rather than failing every request
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that a request is addressed to this server and, if it comes from
+ * a page, that the page is our own. A foreign Host means DNS rebinding;
+ * a foreign Origin means another site is calling the API.
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function isLocalRequest(req) {
+  const port = req.socket.localPort;
+  const allowedHosts = LOCAL_HOSTNAMES.map(hostname => `${hostname}:${port}`);
+
+  if (!allowedHosts.includes(req.headers.host)) {
+    return false;
+  }
+
+  const origin = req.headers.origin;
+  return !origin || allowedHosts.some(host => origin === `http://${host}`);
+}
+
+module.exports = {
+  generateToken,
+  tokensMatch,
+  getCookieName,
+  readCookie,
+  isLocalRequest
+};
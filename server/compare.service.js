@@ -0,0 +1,126 @@
+const path = require('path');
+const envService = require('./env.service');
+const cryptoService = require('./crypto.service');
+
+/**
+ * Check if a key is a dotenvx public key (differs per file by design)
+ * @param {string} key - Key name
+ * @returns {boolean}
+ */
+function isPublicKeyEntry(key) {
+  return key.startsWith('DOTENV_PUBLIC_KEY');
+}
+
+/**
+ * Load an env file's entries with decrypted values where possible
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @returns {Map} - key -> { value, encrypted, decryptedValue }
+ */
+function loadEntries(filename, cwd) {
+  const parsed = envService.parseEnvFile(path.join(cwd, filename));
+  const privateKey = cryptoService.getKeyForFile(filename, cryptoService.getKeys(cwd, filename), cwd);
+  const decryptedValues = privateKey ? cryptoService.decryptFile(filename, cwd) : null;
+  const entries = new Map();
+  
+  for (const entry of envService.getEntries(parsed)) {
+    if (isPublicKeyEntry(entry.key)) continue;
+    
+    const decrypted = decryptedValues && decryptedValues[entry.key];
+    entries.set(entry.key, {
+      value: entry.value,
+      encrypted: entry.encrypted,
+      decryptedValue: decrypted !== undefined && decrypted !== null
+        ? decrypted
+        : (entry.encrypted ? null : entry.value)
+    });
+  }
+  
+  return entries;
+}
+
+/**
+ * Build a key x file matrix for all env files in a folder
+ * @param {string} cwd - Current working directory
+ * @param {boolean} includeValues - Include (decrypted) values in cells
+ * @returns {object} - { files, rows } where each row has one cell per file
+ */
+function buildMatrix(cwd, includeValues = false) {
+  const files = envService.scanEnvFiles(cwd);
+  const entriesByFile = files.map(file => loadEntries(file, cwd));
+  
+  const keys = new Set();
+  for (const entries of entriesByFile) {
+    for (const key of entries.keys()) keys.add(key);
+  }
+  
+  const rows = [...keys].sort().map(key => {
+    const cells = entriesByFile.map(entries => {
+      const entry = entries.get(key);
+      
+      if (!entry) {
+        return { status: 'missing' };
+      }
+      
+      const cell = { status: entry.encrypted ? 'encrypted' : 'present' };
+      if (includeValues) {
+        cell.value = entry.decryptedValue;
+      }
+      return cell;
+    });
+    
+    return {
+      key,
+      cells,
+      missing: cells.filter(c => c.status === 'missing').length
+    };
+  });
+  
+  return { files, rows };
+}
+
+/**
+ * Diff two env files key by key
+ * Values are compared decrypted when a private key exists, raw otherwise.
+ * @param {string} cwd - Current working directory
+ * @param {string} left - Left env file name
+ * @param {string} right - Right env file name
+ * @returns {object} - { left, right, added, removed, changed, identical }
+ */
+function diffFiles(cwd, left, right) {
+  const leftEntries = loadEntries(left, cwd);
+  const rightEntries = loadEntries(right, cwd);
+  const result = { left, right, added: [], removed: [], changed: [], identical: [] };
+  
+  const side = entry => entry && {
+    value: entry.decryptedValue !== null ? entry.decryptedValue : entry.value,
+    encrypted: entry.encrypted,
+    readable: entry.decryptedValue !== null
+  };
+  
+  const keys = new Set([...leftEntries.keys(), ...rightEntries.keys()]);
+  
+  for (const key of [...keys].sort()) {
+    const l = side(leftEntries.get(key));
+    const r = side(rightEntries.get(key));
+    const item = { key, left: l || null, right: r || null };
+    
+    if (!l) {
+      result.added.push(item);
+    } else if (!r) {
+      result.removed.push(item);
+    } else if (l.value === r.value) {
+      result.identical.push(item);
+    } else {
+      result.changed.push(item);
+    }
+  }
+  
+  return result;
+}
+
+module.exports = {
+  loadEntries,
+  buildMatrix,
+  diffFiles
+};
@@ -1,6 +1,29 @@
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { PrivateKey, encrypt: eciesEncrypt, decrypt: eciesDecrypt } = require('eciesjs');
+const envService = require('./env.service');
+const folderService = require('./folder.service');
+const historyService = require('./history.service');
+const fileService = require('./file.service');
+
+// Prefix dotenvx uses for encrypted values
+const ENCRYPTED_PREFIX = 'encrypted:';
+
+// Header dotenvx writes above the public key in encrypted env files
+const PUBLIC_KEY_HEADER = [
+  '#/-------------------[DOTENV_PUBLIC_KEY]--------------------/',
+  '#/            public-key encryption for .env files          /',
+  '#/       [how it works](https://dotenvx.com/encryption)     /',
+  '#/----------------------------------------------------------/'
+];
+
+// Header dotenvx writes at the top of a new .env.keys file
+const PRIVATE_KEYS_HEADER = [
+  '#/------------------!DOTENV_PRIVATE_KEYS!-------------------/',
+  '#/ private decryption keys. DO NOT commit to source control /',
+  '#/     [how it works](https://dotenvx.com/encryption)       /',
+  '#/----------------------------------------------------------/'
+];
 
 /**
  * Check if a value is encrypted (starts with "encrypted:")
@@ -8,16 +31,99 @@ const { execSync } = require('child_process');
  * @returns {boolean}
  */
 function isEncrypted(value) {
-  return typeof value === 'string' && value.startsWith('encrypted:');
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Get the environment name for an env file, as used in key names
+ * The folder's `environments` setting (glob -> name) wins over the name
+ * dotenvx derives from the file name, for files like config/app.env.
+ * @param {string} filename - Env file name (e.g., .env.production)
+ * @param {string} cwd - Current working directory (folder the settings belong to)
+ * @returns {string} - Lowercase environment ('default' for .env)
+ */
+function getEnvironment(filename, cwd) {
+  if (cwd) {
+    const { environments } = folderService.getFolderSettings(cwd);
+    const pattern = Object.keys(environments).find(p => envService.matchesPattern(filename, [p]));
+    if (pattern) {
+      return environments[pattern].toLowerCase();
+    }
+  }
+  
+  const base = path.basename(filename);
+  
+  if (base === '.env') {
+    return 'default';
+  }
+  
+  // Same rules as dotenvx: .env.production.local -> production_local
+  const parts = base.split('.').slice(2);
+  if (parts.length === 0) {
+    return base.replace('.env', 'development').toLowerCase();
+  }
+  
+  return parts.slice(0, 2).join('_').toLowerCase();
+}
+
+/**
+ * Get the DOTENV_PUBLIC_KEY / DOTENV_PRIVATE_KEY names for an env file
+ * @param {string} filename - Env file name (e.g., .env.production)
+ * @param {string} cwd - Current working directory
+ * @returns {object} - { publicKeyName, privateKeyName }
+ */
+function getKeyNames(filename, cwd) {
+  const env = getEnvironment(filename, cwd);
+  const suffix = env === 'default' ? '' : `_${env.toUpperCase()}`;
+  
+  return {
+    publicKeyName: `DOTENV_PUBLIC_KEY${suffix}`,
+    privateKeyName: `DOTENV_PRIVATE_KEY${suffix}`
+  };
+}
+
+/**
+ * Generate a new secp256k1 keypair in dotenvx hex format
+ * @returns {object} - { publicKey, privateKey }
+ */
+function generateKeypair() {
+  const kp = new PrivateKey();
+  
+  return {
+    publicKey: kp.publicKey.toHex(),
+    privateKey: kp.secret.toString('hex')
+  };
+}
+
+/**
+ * Derive the public key that belongs to a private key
+ * @param {string} privateKey - Hex encoded private key
+ * @returns {string} - Hex encoded compressed public key
+ */
+function derivePublicKey(privateKey) {
+  return new PrivateKey(Buffer.from(privateKey, 'hex')).publicKey.toHex();
+}
+
+/**
+ * Get the .env.keys path for an env file
+ * Each directory has its own .env.keys, as dotenvx keeps it next to the
+ * env files it belongs to.
+ * @param {string} cwd - Current working directory
+ * @param {string} filename - Env file path relative to cwd ('' for cwd itself)
+ * @returns {string}
+ */
+function getKeysPath(cwd, filename = '') {
+  return path.join(cwd, path.dirname(filename), '.env.keys');
 }
 
 /**
  * Parse .env.keys file to get available keys
  * @param {string} cwd - Current working directory
+ * @param {string} filename - Env file whose .env.keys to read (default: the one in cwd)
  * @returns {object} - Object with environment keys
  */
-function getKeys(cwd) {
-  const keysPath = path.join(cwd, '.env.keys');
+function getKeys(cwd, filename = '') {
+  const keysPath = getKeysPath(cwd, filename);
   const keys = {};
   
   if (!fs.existsSync(keysPath)) {
@@ -62,31 +168,27 @@ function getKeys(cwd) {
  * Get the appropriate key for a given env file
  * @param {string} filename - Env file name (e.g., .env.production)
  * @param {object} keys - Keys object from getKeys()
+ * @param {string} cwd - Current working directory (for the folder's environment mapping)
  * @returns {string|null} - The private key or null
  */
-function getKeyForFile(filename, keys) {
+function getKeyForFile(filename, keys, cwd) {
   // Extract environment from filename
   // .env -> default
   // .env.production -> production
   // .env.local -> local
+  const env = getEnvironment(filename, cwd);
   
-  if (filename === '.env') {
+  if (env === 'default') {
     return keys['default'] || keys['development'] || null;
   }
   
-  const match = filename.match(/^\.env\.(.+)$/);
-  if (match) {
-    const env = match[1].toLowerCase();
-    return keys[env] || null;
-  }
-  
-  return null;
+  return keys[env] || null;
 }
 
 /**
- * Decrypt a single encrypted value using dotenvx
+ * Decrypt a single encrypted value
  * @param {string} encryptedValue - The encrypted value (with "encrypted:" prefix)
- * @param {string} privateKey - The private key for decryption
+ * @param {string} privateKey - The private key for decryption (comma separated for several)
  * @returns {string} - Decrypted value or original if decryption fails
  */
 function decrypt(encryptedValue, privateKey) {
@@ -98,25 +200,23 @@ function decrypt(encryptedValue, privateKey) {
     return encryptedValue; // Return as-is if no key
   }
   
-  try {
-    // Use dotenvx CLI for decryption
-    const result = execSync(
-      `npx @dotenvx/dotenvx decrypt -s "${encryptedValue}"`,
-      {
-        encoding: 'utf8',
-        env: { ...process.env, DOTENV_PRIVATE_KEY: privateKey },
-        stdio: ['pipe', 'pipe', 'pipe']
-      }
-    );
-    return result.trim();
-  } catch (err) {
-    console.error('Decryption failed:', err.message);
-    return encryptedValue; // Return original on error
+  const ciphertext = Buffer.from(encryptedValue.substring(ENCRYPTED_PREFIX.length), 'base64');
+  
+  // dotenvx allows several comma separated private keys
+  for (const key of privateKey.split(',')) {
+    try {
+      return eciesDecrypt(Buffer.from(key.trim(), 'hex'), ciphertext).toString('utf8');
+    } catch (err) {
+      // Try the next key
+    }
   }
+  
+  console.error('Decryption failed: no matching private key');
+  return encryptedValue; // Return original on error
 }
 
 /**
- * Encrypt a plain value using dotenvx
+ * Encrypt a plain value in dotenvx format
  * @param {string} plainValue - The plain text value
  * @param {string} publicKey - The public key for encryption (DOTENV_PUBLIC_KEY)
  * @returns {string} - Encrypted value with "encrypted:" prefix
@@ -131,16 +231,8 @@ function encrypt(plainValue, publicKey) {
   }
   
   try {
-    // Use dotenvx CLI for encryption
-    const result = execSync(
-      `npx @dotenvx/dotenvx encrypt -s "${plainValue.replace(/"/g, '\\"')}"`,
-      {
-        encoding: 'utf8',
-        env: { ...process.env, DOTENV_PUBLIC_KEY: publicKey },
-        stdio: ['pipe', 'pipe', 'pipe']
-      }
-    );
-    return result.trim();
+    const ciphertext = eciesEncrypt(publicKey, Buffer.from(plainValue, 'utf8'));
+    return ENCRYPTED_PREFIX + Buffer.from(ciphertext).toString('base64');
   } catch (err) {
     console.error('Encryption failed:', err.message);
     throw new Error('Encryption failed: ' + err.message);
@@ -150,10 +242,11 @@ function encrypt(plainValue, publicKey) {
 /**
  * Get public keys from .env.keys file
  * @param {string} cwd - Current working directory
+ * @param {string} filename - Env file whose .env.keys to read (default: the one in cwd)
  * @returns {object} - Object with public keys by environment
  */
-function getPublicKeys(cwd) {
-  const keysPath = path.join(cwd, '.env.keys');
+function getPublicKeys(cwd, filename = '') {
+  const keysPath = getKeysPath(cwd, filename);
   const keys = {};
   
   if (!fs.existsSync(keysPath)) {
@@ -195,18 +288,208 @@ function getPublicKeys(cwd) {
 }
 
 /**
- * Encrypt entire env file using dotenvx CLI
+ * Check if a parsed env file uses encryption
+ * (has a public key header or any encrypted value)
+ * @param {object} parsed - Parsed env file structure
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @returns {boolean}
+ */
+function isEncryptedFile(parsed, filename, cwd) {
+  const { publicKeyName } = getKeyNames(filename, cwd);
+  return parsed.lines.some(l => l.type === 'entry' && (l.encrypted || l.key === publicKeyName));
+}
+
+/**
+ * Find the public key for an env file
+ * Looks at the DOTENV_PUBLIC_KEY* entry in the file itself (where dotenvx
+ * writes it), then at .env.keys, then derives it from the private key.
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @returns {string|null} - The public key or null
+ */
+function getPublicKeyForFile(filename, cwd) {
+  const { publicKeyName } = getKeyNames(filename, cwd);
+  const filepath = path.join(cwd, filename);
+  
+  if (fs.existsSync(filepath)) {
+    const parsed = envService.parseEnvFile(filepath);
+    const entry = parsed.lines.find(l => l.type === 'entry' && l.key === publicKeyName);
+    if (entry && entry.value) {
+      return entry.value;
+    }
+  }
+  
+  const env = getEnvironment(filename, cwd);
+  const publicKeys = getPublicKeys(cwd, filename);
+  if (publicKeys[env]) {
+    return publicKeys[env];
+  }
+  
+  const privateKey = getKeyForFile(filename, getKeys(cwd, filename), cwd);
+  if (privateKey) {
+    return derivePublicKey(privateKey.split(',')[0].trim());
+  }
+  
+  return null;
+}
+
+/**
+ * Append a private key to .env.keys, creating the file if needed
+ * @param {string} cwd - Current working directory
+ * @param {string} filename - Env file the key belongs to
+ * @param {string} privateKeyName - e.g. DOTENV_PRIVATE_KEY_PRODUCTION
+ * @param {string} privateKey - Hex encoded private key
+ */
+function appendPrivateKey(cwd, filename, privateKeyName, privateKey) {
+  const keysPath = getKeysPath(cwd, filename);
+  let content = fs.existsSync(keysPath) ? fs.readFileSync(keysPath, 'utf8') : '';
+  
+  if (content.trim() === '') {
+    content = PRIVATE_KEYS_HEADER.join('\n') + '\n';
+  } else if (!content.endsWith('\n')) {
+    content += '\n';
+  }
+  
+  content += `\n# ${path.basename(filename)}\n${privateKeyName}=${privateKey}\n`;
+  fileService.writeFileAtomic(keysPath, content);
+}
+
+/**
+ * Add the dotenvx public key header to the top of a parsed env file
+ * @param {object} parsed - Parsed env file structure
+ * @param {string} filename - Env file name
+ * @param {string} publicKeyName - e.g. DOTENV_PUBLIC_KEY_PRODUCTION
+ * @param {string} publicKey - Hex encoded public key
+ */
+function prependPublicKey(parsed, filename, publicKeyName, publicKey) {
+  // Keep a shebang line first, like dotenvx does
+  const start = parsed.lines.length > 0 && parsed.lines[0].raw.startsWith('#!') ? 1 : 0;
+  
+  const header = [
+    ...PUBLIC_KEY_HEADER.map(raw => ({ type: 'comment', raw })),
+    {
+      type: 'entry',
+      key: publicKeyName,
+      value: publicKey,
+      encrypted: false,
+      originalValue: publicKey,
+      raw: `${publicKeyName}="${publicKey}"`
+    },
+    { type: 'empty', raw: '' },
+    { type: 'comment', raw: `# ${path.basename(filename)}` }
+  ];
+  
+  parsed.lines.splice(start, 0, ...header);
+}
+
+/**
+ * Get the public key for a parsed env file, creating a keypair if needed
+ * Generated private keys are stored in .env.keys and the public key header
+ * is added to the parsed structure (caller writes it).
+ * @param {object} parsed - Parsed env file structure
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @returns {string} - The public key
+ */
+function ensurePublicKey(parsed, filename, cwd) {
+  const { publicKeyName, privateKeyName } = getKeyNames(filename, cwd);
+  
+  const hasHeader = parsed.lines.some(l => l.type === 'entry' && l.key === publicKeyName);
+  let publicKey = getPublicKeyForFile(filename, cwd);
+  
+  if (!publicKey) {
+    const kp = generateKeypair();
+    publicKey = kp.publicKey;
+    appendPrivateKey(cwd, filename, privateKeyName, kp.privateKey);
+  }
+  
+  if (!hasHeader) {
+    prependPublicKey(parsed, filename, publicKeyName, publicKey);
+  }
+  
+  return publicKey;
+}
+
+/**
+ * Set up encryption for env files in a folder without .env.keys
+ * Generates a keypair per file, writes the public key header into each
+ * file and all private keys into a new .env.keys (mode 0600) next to them,
+ * one per directory when files come from subdirectories.
+ * @param {string} cwd - Current working directory
+ * @param {string[]} filenames - Env files to set up
+ * @returns {object[]} - { filename, publicKeyName, privateKeyName } per file
+ */
+function initEncryption(cwd, filenames) {
+  if (!Array.isArray(filenames) || filenames.length === 0) {
+    throw new Error('Select at least one file');
+  }
+  
+  // Validate everything before touching disk
+  const plans = filenames.map(filename => {
+    const keysPath = getKeysPath(cwd, filename);
+    if (fs.existsSync(keysPath)) {
+      throw new Error(`${path.relative(cwd, keysPath)} already exists`);
+    }
+    
+    const filepath = path.join(cwd, filename);
+    const parsed = envService.parseEnvFile(filepath);
+    const names = getKeyNames(filename, cwd);
+    
+    if (parsed.lines.some(l => l.type === 'entry' && (l.encrypted || l.key === names.publicKeyName))) {
+      throw new Error(`${filename} is already encrypted with a key that is not in .env.keys`);
+    }
+    
+    return { filename, filepath, keysPath, parsed, ...names, ...generateKeypair() };
+  });
+  
+  const keysFiles = new Map();
+  for (const plan of plans) {
+    const content = keysFiles.get(plan.keysPath) || PRIVATE_KEYS_HEADER.join('\n') + '\n';
+    keysFiles.set(plan.keysPath, content + `\n# ${path.basename(plan.filename)}\n${plan.privateKeyName}=${plan.privateKey}\n`);
+  }
+  
+  for (const [keysPath, content] of keysFiles) {
+    fileService.writeFileAtomic(keysPath, content);
+  }
+  
+  for (const plan of plans) {
+    prependPublicKey(plan.parsed, plan.filename, plan.publicKeyName, plan.publicKey);
+    historyService.snapshotFile(plan.filepath);
+    envService.writeEnvFile(plan.filepath, plan.parsed);
+  }
+  
+  return plans.map(({ filename, publicKeyName, privateKeyName }) => ({
+    filename,
+    publicKeyName,
+    privateKeyName
+  }));
+}
+
+/**
+ * Encrypt entire env file in dotenvx format
+ * Reuses the file's existing keypair, or generates one and stores the
+ * private key in .env.keys.
  * @param {string} filepath - Path to the env file
  * @param {string} cwd - Current working directory
  * @returns {boolean} - Success status
  */
 function encryptFile(filepath, cwd) {
   try {
-    execSync(`npx @dotenvx/dotenvx encrypt -f "${filepath}"`, {
-      cwd,
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+    const filename = path.relative(cwd, filepath);
+    const parsed = envService.parseEnvFile(filepath);
+    const publicKey = ensurePublicKey(parsed, filename, cwd);
+    
+    for (const line of parsed.lines) {
+      if (line.type !== 'entry' || line.encrypted) continue;
+      if (line.key.startsWith('DOTENV_PUBLIC_KEY')) continue;
+      
+      line.value = encrypt(line.value, publicKey);
+      line.encrypted = true;
+    }
+    
+    historyService.snapshotFile(filepath);
+    envService.writeEnvFile(filepath, parsed);
     return true;
   } catch (err) {
     console.error('File encryption failed:', err.message);
@@ -215,7 +498,305 @@ function encryptFile(filepath, cwd) {
 }
 
 /**
- * Decrypt entire env file in memory using dotenvx
+ * Decrypt entire env file back to plain text on disk
+ * Comments and the public key header are kept, so the file can be
+ * encrypted again with the same keypair.
+ * @param {string} filepath - Path to the env file
+ * @param {string} cwd - Current working directory
+ * @returns {string[]} - Keys that were decrypted
+ */
+function decryptFileToPlaintext(filepath, cwd) {
+  const filename = path.relative(cwd, filepath);
+  const privateKey = getKeyForFile(filename, getKeys(cwd, filename), cwd);
+  
+  if (!privateKey) {
+    throw new Error(`No private key found for ${filename}`);
+  }
+  
+  const parsed = envService.parseEnvFile(filepath);
+  const decryptedKeys = [];
+  const failedKeys = [];
+  
+  for (const line of parsed.lines) {
+    if (line.type !== 'entry' || !line.encrypted) continue;
+    
+    const value = decrypt(line.value, privateKey);
+    if (isEncrypted(value)) {
+      failedKeys.push(line.key);
+      continue;
+    }
+    
+    line.value = value;
+    line.encrypted = false;
+    decryptedKeys.push(line.key);
+  }
+  
+  // Don't leave the file half decrypted
+  if (failedKeys.length > 0) {
+    throw new Error(`Could not decrypt: ${failedKeys.join(', ')}`);
+  }
+  
+  historyService.snapshotFile(filepath);
+  envService.writeEnvFile(filepath, parsed);
+  return decryptedKeys;
+}
+
+/**
+ * Set a KEY=value line in .env.keys content, appending it if missing
+ * @param {string} content - Current .env.keys content
+ * @param {string} name - Key name (e.g. DOTENV_PRIVATE_KEY_PRODUCTION)
+ * @param {string} value - New value
+ * @returns {string} - Updated content
+ */
+function setKeysFileValue(content, name, value) {
+  const lines = content.split('\n');
+  const index = lines.findIndex(line => {
+    const eqIndex = line.indexOf('=');
+    return eqIndex !== -1 && line.substring(0, eqIndex).trim() === name;
+  });
+  
+  if (index !== -1) {
+    // Keep CRLF line endings
+    lines[index] = `${name}=${value}${lines[index].endsWith('\r') ? '\r' : ''}`;
+    return lines.join('\n');
+  }
+  
+  const prefix = content === '' || content.endsWith('\n') ? content : content + '\n';
+  return `${prefix}${name}=${value}\n`;
+}
+
+/**
+ * Rotate the keypair of an env file
+ * Every encrypted value is decrypted with the old private key and
+ * re-encrypted with a new public key. The env file and .env.keys are
+ * each replaced atomically; if .env.keys can't be written the env file
+ * is put back, so a failure leaves both files as they were.
+ * @param {string} filepath - Path to the env file
+ * @param {string} cwd - Current working directory
+ * @returns {string[]} - Keys that were re-encrypted
+ */
+function rotateKey(filepath, cwd) {
+  const filename = path.relative(cwd, filepath);
+  const { publicKeyName, privateKeyName } = getKeyNames(filename, cwd);
+  const oldPrivateKey = getKeyForFile(filename, getKeys(cwd, filename), cwd);
+  
+  if (!oldPrivateKey) {
+    throw new Error(`No private key found for ${filename}`);
+  }
+  
+  const parsed = envService.parseEnvFile(filepath);
+  const plainValues = new Map();
+  const failedKeys = [];
+  
+  for (const line of parsed.lines) {
+    if (line.type !== 'entry' || !line.encrypted) continue;
+    
+    const value = decrypt(line.value, oldPrivateKey);
+    if (isEncrypted(value)) {
+      failedKeys.push(line.key);
+    } else {
+      plainValues.set(line, value);
+    }
+  }
+  
+  // Refuse to rotate if anything would be lost
+  if (failedKeys.length > 0) {
+    throw new Error(`Could not decrypt with the current key: ${failedKeys.join(', ')}`);
+  }
+  
+  const { publicKey, privateKey } = generateKeypair();
+  
+  for (const [line, value] of plainValues) {
+    line.value = encrypt(value, publicKey);
+  }
+  
+  const header = parsed.lines.find(l => l.type === 'entry' && l.key === publicKeyName);
+  if (header) {
+    header.value = publicKey;
+  } else {
+    prependPublicKey(parsed, filename, publicKeyName, publicKey);
+  }
+  
+  // Build new .env.keys content
+  const keysPath = getKeysPath(cwd, filename);
+  const oldKeysContent = fs.readFileSync(keysPath, 'utf8');
+  let keysContent = setKeysFileValue(oldKeysContent, privateKeyName, privateKey);
+  if (getPublicKeys(cwd, filename)[getEnvironment(filename, cwd)]) {
+    keysContent = setKeysFileValue(keysContent, publicKeyName, publicKey);
+  }
+  
+  const oldEnvContent = fs.readFileSync(filepath, 'utf8');
+  
+  try {
+    historyService.snapshotFile(filepath);
+    fileService.writeFileAtomic(filepath, envService.serializeEnvFile(parsed));
+    
+    try {
+      // The old private key is only kept in this snapshot afterwards
+      historyService.snapshotFile(keysPath);
+      fileService.writeFileAtomic(keysPath, keysContent);
+    } catch (err) {
+      // Put the env file back so it still matches the old key
+      fileService.writeFileAtomic(filepath, oldEnvContent);
+      throw err;
+    }
+  } catch (err) {
+    throw new Error('Key rotation failed: ' + err.message);
+  }
+  
+  return [...plainValues.keys()].map(line => line.key);
+}
+
+/**
+ * Encrypt a single key in an env file, leaving other values untouched
+ * @param {string} filepath - Path to the env file
+ * @param {string} cwd - Current working directory
+ * @param {string} key - Key to encrypt
+ * @returns {string} - The encrypted value
+ */
+function encryptKey(filepath, cwd, key) {
+  const filename = path.relative(cwd, filepath);
+  const parsed = envService.parseEnvFile(filepath);
+  const entry = parsed.lines.find(l => l.type === 'entry' && l.key === key);
+  
+  if (!entry) {
+    throw new Error(`Key "${key}" not found`);
+  }
+  
+  if (key.startsWith('DOTENV_PUBLIC_KEY')) {
+    throw new Error('Public keys cannot be encrypted');
+  }
+  
+  if (entry.encrypted) {
+    throw new Error(`Key "${key}" is already encrypted`);
+  }
+  
+  const publicKey = ensurePublicKey(parsed, filename, cwd);
+  envService.updateEntry(parsed, key, encrypt(entry.value, publicKey));
+  historyService.snapshotFile(filepath);
+  envService.writeEnvFile(filepath, parsed);
+  
+  return entry.value;
+}
+
+/**
+ * Decrypt a single key in an env file back to plain text
+ * @param {string} filepath - Path to the env file
+ * @param {string} cwd - Current working directory
+ * @param {string} key - Key to decrypt
+ * @returns {string} - The decrypted value
+ */
+function decryptKey(filepath, cwd, key) {
+  const filename = path.relative(cwd, filepath);
+  const parsed = envService.parseEnvFile(filepath);
+  const entry = parsed.lines.find(l => l.type === 'entry' && l.key === key);
+  
+  if (!entry) {
+    throw new Error(`Key "${key}" not found`);
+  }
+  
+  if (!entry.encrypted) {
+    throw new Error(`Key "${key}" is not encrypted`);
+  }
+  
+  const privateKey = getKeyForFile(filename, getKeys(cwd, filename), cwd);
+  if (!privateKey) {
+    throw new Error(`No private key found for ${filename}`);
+  }
+  
+  const value = decrypt(entry.value, privateKey);
+  if (isEncrypted(value)) {
+    throw new Error(`Could not decrypt "${key}" with the private key for ${filename}`);
+  }
+  
+  envService.updateEntry(parsed, key, value);
+  historyService.snapshotFile(filepath);
+  envService.writeEnvFile(filepath, parsed);
+  
+  return value;
+}
+
+/**
+ * Copy keys from one env file to another
+ * Values are decrypted with the source file's private key and re-encrypted
+ * with the target file's public key, or kept plain if the target file is
+ * not encrypted.
+ * @param {string} cwd - Current working directory
+ * @param {string} source - Source env file name
+ * @param {string} target - Target env file name
+ * @param {string[]} keys - Keys to copy
+ * @param {boolean} overwrite - Overwrite keys that exist in the target (false = skip)
+ * @returns {object} - { copied, skipped }
+ */
+function copyKeys(cwd, source, target, keys, overwrite) {
+  if (source === target) {
+    throw new Error('Source and target must be different files');
+  }
+  
+  const sourceParsed = envService.parseEnvFile(path.join(cwd, source));
+  const sourcePrivateKey = getKeyForFile(source, getKeys(cwd, source), cwd);
+  const values = new Map();
+  const failedKeys = [];
+  
+  for (const key of keys) {
+    const entry = sourceParsed.lines.find(l => l.type === 'entry' && l.key === key);
+    if (!entry) {
+      throw new Error(`Key "${key}" not found in ${source}`);
+    }
+    
+    const value = decrypt(entry.value, sourcePrivateKey);
+    if (isEncrypted(value)) {
+      failedKeys.push(key);
+    } else {
+      values.set(key, value);
+    }
+  }
+  
+  if (failedKeys.length > 0) {
+    throw new Error(`Could not decrypt in ${source}: ${failedKeys.join(', ')}`);
+  }
+  
+  const targetPath = path.join(cwd, target);
+  const targetParsed = envService.parseEnvFile(targetPath);
+  
+  // Only encrypt when the target file is encrypted itself
+  const targetEncrypted = isEncryptedFile(targetParsed, target, cwd);
+  const publicKey = targetEncrypted ? getPublicKeyForFile(target, cwd) : null;
+  
+  if (targetEncrypted && !publicKey) {
+    throw new Error(`No public key found for ${target}`);
+  }
+  
+  const copied = [];
+  const skipped = [];
+  
+  for (const [key, value] of values) {
+    const newValue = publicKey ? encrypt(value, publicKey) : value;
+    const exists = targetParsed.lines.some(l => l.type === 'entry' && l.key === key);
+    
+    if (exists && !overwrite) {
+      skipped.push(key);
+      continue;
+    }
+    
+    if (exists) {
+      envService.updateEntry(targetParsed, key, newValue);
+    } else {
+      envService.addEntry(targetParsed, key, newValue);
+    }
+    copied.push(key);
+  }
+  
+  if (copied.length > 0) {
+    historyService.snapshotFile(targetPath);
+    envService.writeEnvFile(targetPath, targetParsed);
+  }
+  
+  return { copied, skipped, encrypted: !!publicKey };
+}
+
+/**
+ * Decrypt entire env file in memory
  * @param {string} filename - Env file name
  * @param {string} cwd - Current working directory
  * @returns {object|null} - Decrypted key-value pairs or null
@@ -224,13 +805,20 @@ function decryptFile(filename, cwd) {
   const filepath = path.join(cwd, filename);
   
   try {
-    // Use dotenvx to decrypt and get values
-    const result = execSync(`npx @dotenvx/dotenvx get -f "${filepath}" --format json`, {
-      cwd,
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-    return JSON.parse(result);
+    const privateKey = getKeyForFile(filename, getKeys(cwd, filename), cwd);
+    const parsed = envService.parseEnvFile(filepath);
+    const values = {};
+    
+    for (const entry of envService.getEntries(parsed)) {
+      const value = decrypt(entry.value, privateKey);
+      
+      // Leave out values that could not be decrypted
+      if (!isEncrypted(value)) {
+        values[entry.key] = value;
+      }
+    }
+    
+    return values;
   } catch (err) {
     // If decryption fails, return null
     console.error('File decryption failed:', err.message);
@@ -240,12 +828,25 @@ function decryptFile(filename, cwd) {
 
 module.exports = {
   isEncrypted,
+  getKeysPath,
   getKeys,
   getPublicKeys,
   getKeyForFile,
+  getPublicKeyForFile,
+  isEncryptedFile,
+  getEnvironment,
+  getKeyNames,
+  generateKeypair,
+  derivePublicKey,
   decrypt,
   encrypt,
   encryptFile,
+  decryptFileToPlaintext,
+  rotateKey,
+  copyKeys,
+  initEncryption,
+  encryptKey,
+  decryptKey,
   decryptFile
 };
 
@@ -1,51 +1,281 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const ignore = require('ignore');
+const picomatch = require('picomatch');
+const fileService = require('./file.service');
+const folderService = require('./folder.service');
 
-// Supported env file patterns
-const ENV_FILE_PATTERNS = [
-  '.env',
-  '.env.local',
-  '.env.development',
-  '.env.staging',
-  '.env.production',
-  '.env.test'
-];
+// Files next to env files that are never env files themselves, whatever
+// the folder's patterns say (keys, schema, project settings)
+const RESERVED_FILES = ['.env.keys', '.env.schema.json', folderService.PROJECT_FILE];
+
+// Temp files left by an interrupted atomic write (see file.service)
+const TEMP_FILE_PATTERN = /\.\d+\.tmp$/;
+
+// Directories never scanned for env files
+const SKIPPED_DIRS = ['node_modules', '.git'];
+
+// Characters allowed in each part of an env file path, whatever the
+// patterns match: names end up in the page, and quotes or brackets there
+// are only trouble
+const SAFE_NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Check if a path matches any of the glob patterns
+ * Patterns without a "/" match the file name in any directory, like in
+ * .gitignore; others match the whole path relative to the folder.
+ * @param {string} file - Path relative to the folder, "/" separated
+ * @param {string[]} patterns - Glob patterns
+ * @returns {boolean}
+ */
+function matchesPattern(file, patterns) {
+  const name = path.posix.basename(file);
+  
+  return patterns.some(pattern => pattern.includes('/')
+    ? picomatch.isMatch(file, pattern, { dot: true })
+    : picomatch.isMatch(name, pattern, { dot: true }));
+}
+
+/**
+ * Check if a file is an env file under the folder's include/exclude patterns
+ * Names with characters other than letters, digits, ".", "_" and "-" never are.
+ * Files in subdirectories only count where scanEnvFiles looks for them: with
+ * the `recursive` setting, or in a directory named by an include pattern,
+ * and no deeper than `scanDepth`.
+ * @param {string} file - Path relative to the folder, e.g. .env or config/app.env
+ * @param {object} settings - Folder settings from folderService.getFolderSettings()
+ * @returns {boolean}
+ */
+function isEnvFile(file, settings) {
+  const parts = file.split('/');
+  const name = parts[parts.length - 1];
+  
+  if (RESERVED_FILES.includes(name) || TEMP_FILE_PATTERN.test(name) ||
+      parts.some(part => SKIPPED_DIRS.includes(part) || !SAFE_NAME_PATTERN.test(part))) {
+    return false;
+  }
+  
+  if (parts.length > 1) {
+    const dir = parts.slice(0, -1).join('/');
+    const scanned = settings.recursive || settings.include.some(pattern => canContainMatches(pattern, dir));
+    if (!scanned || parts.length - 1 > settings.scanDepth) {
+      return false;
+    }
+  }
+  
+  return matchesPattern(file, settings.include) && !matchesPattern(file, settings.exclude);
+}
+
+/**
+ * Check if files matching an include pattern can be inside a directory
+ * Lets the scan find e.g. config/app.env without scanning every subdirectory.
+ * @param {string} pattern - Include pattern
+ * @param {string} dir - Directory relative to the folder
+ * @returns {boolean}
+ */
+function canContainMatches(pattern, dir) {
+  if (!pattern.includes('/')) {
+    return false;
+  }
+  
+  const patternParts = pattern.split('/');
+  const dirParts = dir.split('/');
+  
+  for (let i = 0; i < dirParts.length; i++) {
+    // The last part of the pattern is the file name
+    if (i >= patternParts.length - 1) return false;
+    if (patternParts[i] === '**') return true;
+    if (!picomatch.isMatch(dirParts[i], patternParts[i], { dot: true })) return false;
+  }
+  
+  return true;
+}
 
 /**
- * Scan directory for env files
+ * Get where a path really leads, following symlinks in the path and a
+ * dangling link to the file its target would be created as
+ * @param {string} filepath - Absolute path
+ * @returns {string}
+ */
+function getRealPath(filepath) {
+  try {
+    return fs.realpathSync(filepath);
+  } catch (err) {
+    // Missing file or dangling link
+  }
+  
+  let link = null;
+  try {
+    link = fs.readlinkSync(filepath);
+  } catch (err) {
+    // Not a link
+  }
+  
+  const dir = getRealPath(path.dirname(filepath));
+  return link ? path.resolve(dir, link) : path.join(dir, path.basename(filepath));
+}
+
+/**
+ * Check if a path is inside a folder (and not the folder itself)
+ * @param {string} root - Folder path
+ * @param {string} filepath - Path to check
+ * @returns {boolean}
+ */
+function isInside(root, filepath) {
+  const relative = path.relative(root, filepath);
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve an env file name from a request to its path in the folder
+ * The name is a path relative to the folder with "/" separators, written
+ * as is (no "./" or ".." segments), and must not lead out of the folder
+ * through a symlink, whether the file itself or one of its directories.
+ * It must also match the folder's env file patterns.
  * @param {string} cwd - Current working directory
- * @returns {string[]} - List of found env file names
+ * @param {string} filename - Env file name, e.g. .env or apps/web/.env
+ * @param {object} settings - Folder settings (loaded if not given)
+ * @returns {string} - Full path to the file
+ * @throws {Error} - If the name is not allowed
  */
-function scanEnvFiles(cwd) {
-  const files = [];
+function resolveEnvFile(cwd, filename, settings = folderService.getFolderSettings(cwd)) {
+  if (typeof filename !== 'string' || !isEnvFile(filename, settings)) {
+    throw new Error(`Invalid file: ${filename} is not an env file`);
+  }
+  
+  const root = path.resolve(cwd);
+  const filepath = path.resolve(root, filename);
+  const relative = path.relative(root, filepath).split(path.sep).join('/');
+  
+  if (!isInside(root, filepath) || relative !== filename) {
+    throw new Error(`Invalid file: ${filename} is not in the current folder`);
+  }
+  
+  if (!isInside(getRealPath(root), getRealPath(filepath))) {
+    throw new Error(`Invalid file: ${filename} links outside the current folder`);
+  }
   
+  return filepath;
+}
+
+/**
+ * Check if an env file can be opened: a regular file, or a symlink to one
+ * inside the folder
+ * @param {string} cwd - Current working directory
+ * @param {string} file - Env file name
+ * @param {object} settings - Folder settings
+ * @returns {boolean}
+ */
+function isAccessibleFile(cwd, file, settings) {
   try {
-    const dirContents = fs.readdirSync(cwd);
+    return fs.statSync(resolveEnvFile(cwd, file, settings)).isFile();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Load the folder's .gitignore rules
+ * @param {string} cwd - Current working directory
+ * @returns {object} - `ignore` instance (empty without a .gitignore)
+ */
+function loadGitignore(cwd) {
+  const rules = ignore();
+  
+  try {
+    rules.add(fs.readFileSync(path.join(cwd, '.gitignore'), 'utf8'));
+  } catch (err) {
+    // No .gitignore
+  }
+  
+  return rules;
+}
+
+/**
+ * Walk the folder's directories looking for env files
+ * Files are matched against the folder's include/exclude patterns. With the
+ * `recursive` setting every subdirectory is scanned; otherwise only those
+ * named by an include pattern (e.g. config/*.env). Either way the scan
+ * stops at `scanDepth` levels and skips node_modules, .git and directories
+ * ignored by the folder's .gitignore. Env files themselves are listed even
+ * when ignored, as they usually are.
+ * @param {string} cwd - Current working directory
+ * @returns {object} - { files, dirs } relative to cwd, dirs starting with '' for cwd itself
+ */
+function walkFolder(cwd) {
+  const settings = folderService.getFolderSettings(cwd);
+  const { recursive, scanDepth, include } = settings;
+  const gitignore = loadGitignore(cwd);
+  const files = [];
+  const dirs = [];
+  
+  const scan = (dir, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(cwd, dir), { withFileTypes: true });
+    } catch (err) {
+      console.error('Error scanning directory:', err.message);
+      return;
+    }
+    dirs.push(dir);
     
-    for (const file of dirContents) {
-      // Match exact patterns or .env.* pattern
-      if (ENV_FILE_PATTERNS.includes(file) || /^\.env\.[a-zA-Z0-9_-]+$/.test(file)) {
-        // Exclude .env.keys as it's for encryption keys
-        if (file !== '.env.keys') {
-          const filePath = path.join(cwd, file);
-          if (fs.statSync(filePath).isFile()) {
-            files.push(file);
-          }
+    for (const entry of entries) {
+      const file = dir ? `${dir}/${entry.name}` : entry.name;
+      
+      // Symlinked directories are not followed (isDirectory is false for them)
+      if (entry.isDirectory()) {
+        const wanted = recursive || include.some(pattern => canContainMatches(pattern, file));
+        if (wanted && depth < scanDepth && !SKIPPED_DIRS.includes(entry.name) &&
+            !gitignore.ignores(`${file}/`)) {
+          scan(file, depth + 1);
         }
+      } else if (isEnvFile(file, settings) && isAccessibleFile(cwd, file, settings)) {
+        files.push(file);
       }
     }
-  } catch (err) {
-    console.error('Error scanning directory:', err.message);
-  }
+  };
   
-  // Sort: .env first, then alphabetically
+  scan('', 0);
+  
+  return { files, dirs };
+}
+
+/**
+ * Scan directory for env files (see walkFolder for where it looks)
+ * @param {string} cwd - Current working directory
+ * @returns {string[]} - Env file paths relative to cwd, e.g. .env or apps/web/.env
+ */
+function scanEnvFiles(cwd) {
+  const { files } = walkFolder(cwd);
+  
+  // Sort: top level first, then by directory; .env first, then alphabetically
   return files.sort((a, b) => {
-    if (a === '.env') return -1;
-    if (b === '.env') return 1;
-    return a.localeCompare(b);
+    const dirA = path.posix.dirname(a);
+    const dirB = path.posix.dirname(b);
+    if (dirA !== dirB) {
+      if (dirA === '.') return -1;
+      if (dirB === '.') return 1;
+      return dirA.localeCompare(dirB);
+    }
+    
+    const baseA = path.posix.basename(a);
+    const baseB = path.posix.basename(b);
+    if (baseA === '.env') return -1;
+    if (baseB === '.env') return 1;
+    return baseA.localeCompare(baseB);
   });
 }
 
+/**
+ * List the directories scanned for env files, e.g. to watch them
+ * @param {string} cwd - Current working directory
+ * @returns {string[]} - Paths relative to cwd, '' for cwd itself
+ */
+function scanEnvDirs(cwd) {
+  return walkFolder(cwd).dirs;
+}
+
 /**
  * Check if .env.keys file exists
  * @param {string} cwd - Current working directory
@@ -55,69 +285,251 @@ function hasKeysFile(cwd) {
   return fs.existsSync(path.join(cwd, '.env.keys'));
 }
 
+/**
+ * Check if .env.keys is listed in the folder's .gitignore
+ * @param {string} cwd - Current working directory
+ * @returns {boolean}
+ */
+function isKeysFileIgnored(cwd) {
+  const gitignorePath = path.join(cwd, '.gitignore');
+  
+  if (!fs.existsSync(gitignorePath)) {
+    return false;
+  }
+  
+  const patterns = fs.readFileSync(gitignorePath, 'utf8')
+    .split('\n')
+    .map(line => line.trim());
+  
+  return patterns.some(p => ['.env.keys', '/.env.keys', '.env*', '.env.*', '*.keys'].includes(p));
+}
+
+/**
+ * Add .env.keys to the folder's .gitignore (creating it if needed)
+ * @param {string} cwd - Current working directory
+ * @returns {boolean} - True if .gitignore was changed
+ */
+function addKeysFileToGitignore(cwd) {
+  if (isKeysFileIgnored(cwd)) {
+    return false;
+  }
+  
+  const gitignorePath = path.join(cwd, '.gitignore');
+  let content = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
+  
+  if (content !== '' && !content.endsWith('\n')) {
+    content += '\n';
+  }
+  
+  content += '\n# dotenvx private keys\n.env.keys\n';
+  fs.writeFileSync(gitignorePath, content, 'utf8');
+  
+  return true;
+}
+
+// Start of an entry: optional export prefix, key, then "=" or ": " (same as dotenvx)
+const ENTRY_START = /[ \t]*(export[ \t]+)?([\w.-]+)(?:[ \t]*=[ \t]*|:[ \t]+)/y;
+
+// Quote characters dotenvx understands
+const QUOTES = ['"', "'", '`'];
+
+/**
+ * Find the closing quote of a quoted value
+ * A backslash before the quote character escapes it, like in dotenvx.
+ * @param {string} content - Full file content
+ * @param {number} start - Index just after the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} - Index of the closing quote or -1
+ */
+function findClosingQuote(content, start, quote) {
+  for (let i = start; i < content.length; i++) {
+    if (content[i] === '\\' && content[i + 1] === quote) {
+      i++;
+      continue;
+    }
+    if (content[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Tokenize one entry starting at a line
+ * @param {string} content - Full file content
+ * @param {number} pos - Index where the line starts
+ * @returns {object|null} - Entry fields plus `end` (index of the line end), or null
+ */
+function tokenizeEntry(content, pos) {
+  ENTRY_START.lastIndex = pos;
+  const match = ENTRY_START.exec(content);
+  if (!match) return null;
+  
+  const valueStart = pos + match[0].length;
+  const lineEnd = content.indexOf('\n', pos) === -1 ? content.length : content.indexOf('\n', pos);
+  
+  const entry = {
+    key: match[2],
+    exported: !!match[1],
+    quote: '',
+    value: '',
+    comment: '',
+    prefix: content.substring(pos, valueStart),
+    suffix: '',
+    multiline: false,
+    end: lineEnd
+  };
+  
+  // Quoted value (may span several lines)
+  const quote = content[valueStart];
+  if (QUOTES.includes(quote)) {
+    const close = findClosingQuote(content, valueStart + 1, quote);
+    if (close !== -1) {
+      const closeLineEnd = content.indexOf('\n', close) === -1 ? content.length : content.indexOf('\n', close);
+      const rest = content.substring(close + 1, closeLineEnd);
+      
+      // Only whitespace and a comment may follow the closing quote
+      const restMatch = rest.match(/^[ \t]*(#.*)?$/);
+      if (restMatch) {
+        let value = content.substring(valueStart + 1, close);
+        if (quote === '"') {
+          value = value.replace(/\\n/g, '\n').replace(/\\r/g, '\r').replace(/\\t/g, '\t');
+        }
+        
+        entry.quote = quote;
+        entry.value = value;
+        entry.comment = restMatch[1] || '';
+        entry.suffix = rest;
+        entry.multiline = closeLineEnd !== lineEnd;
+        entry.end = closeLineEnd;
+        return entry;
+      }
+    }
+  }
+  
+  // Unquoted value runs until an inline comment
+  const line = content.substring(valueStart, lineEnd);
+  const hashIndex = line.indexOf('#');
+  const valuePart = hashIndex === -1 ? line : line.substring(0, hashIndex);
+  
+  entry.value = valuePart.trim();
+  entry.comment = hashIndex === -1 ? '' : line.substring(hashIndex);
+  entry.suffix = line.substring(valuePart.trimEnd().length);
+  
+  // For an empty value keep the spacing before a comment with the comment
+  if (entry.value === '') {
+    const spacing = entry.prefix.match(/[ \t]*$/)[0];
+    entry.prefix = entry.prefix.substring(0, entry.prefix.length - spacing.length);
+    entry.suffix = spacing + entry.suffix;
+  }
+  
+  return entry;
+}
+
+/**
+ * Detect byte order mark, line endings and final newline of env content
+ * @param {string} content - Raw file content
+ * @returns {object} - { bom, eol, finalNewline }
+ */
+function detectFormat(content) {
+  const crlf = (content.match(/\r\n/g) || []).length;
+  const lf = (content.match(/\n/g) || []).length - crlf;
+  
+  return {
+    bom: content.startsWith('\uFEFF'),
+    eol: crlf > lf ? '\r\n' : '\n',
+    finalNewline: /\r?\n$/.test(content)
+  };
+}
+
+/**
+ * Parse env content preserving structure (comments, empty lines)
+ * Follows dotenvx rules: `export` prefix, inline comments, single quotes
+ * are literal, double quotes expand \n \r \t, and quoted values may span
+ * multiple lines.
+ * @param {string} content - Env file content
+ * @returns {Array} - Lines array (entries, comments, empty and unknown lines)
+ */
+function parseEnvContent(content) {
+  const lines = [];
+  let pos = 0;
+  
+  while (pos <= content.length) {
+    const lineEnd = content.indexOf('\n', pos) === -1 ? content.length : content.indexOf('\n', pos);
+    const line = content.substring(pos, lineEnd);
+    const trimmed = line.trim();
+    
+    if (trimmed === '') {
+      // Empty line
+      lines.push({ type: 'empty', raw: line });
+    } else if (trimmed.startsWith('#')) {
+      // Comment line
+      lines.push({ type: 'comment', raw: line });
+    } else {
+      const entry = tokenizeEntry(content, pos);
+      
+      if (entry) {
+        const raw = content.substring(pos, entry.end);
+        lines.push({
+          type: 'entry',
+          key: entry.key,
+          value: entry.value,
+          encrypted: entry.value.startsWith('encrypted:'),
+          exported: entry.exported,
+          quote: entry.quote,
+          comment: entry.comment,
+          prefix: entry.prefix,
+          suffix: entry.suffix,
+          multiline: entry.multiline,
+          originalValue: entry.value,
+          raw
+        });
+        pos = entry.end + 1;
+        continue;
+      }
+      
+      // Invalid line, keep as-is
+      lines.push({ type: 'unknown', raw: line });
+    }
+    
+    pos = lineEnd + 1;
+  }
+  
+  return lines;
+}
+
 /**
  * Parse an env file preserving structure (comments, empty lines)
+ * The BOM, line endings and final newline are stripped before parsing and
+ * kept in `format` so writeEnvFile can restore them. Each line also keeps
+ * its own line endings in `eols`, as files may mix LF and CRLF.
  * @param {string} filepath - Full path to env file
- * @returns {object} - Parsed structure with lines array
+ * @returns {object} - Parsed structure with lines array and format
  */
 function parseEnvFile(filepath) {
   const result = {
     filepath,
+    format: null,
     lines: []
   };
   
   try {
     const content = fs.readFileSync(filepath, 'utf8');
-    const lines = content.split('\n');
+    result.format = detectFormat(content);
     
-    for (let i = 0; i < lines.length; i++) {
-      const raw = lines[i];
-      const trimmed = raw.trim();
-      
-      // Empty line
-      if (trimmed === '') {
-        result.lines.push({ type: 'empty', raw });
-        continue;
-      }
-      
-      // Comment line
-      if (trimmed.startsWith('#')) {
-        result.lines.push({ type: 'comment', raw });
-        continue;
-      }
-      
-      // Key-value pair
-      const eqIndex = raw.indexOf('=');
-      if (eqIndex !== -1) {
-        const key = raw.substring(0, eqIndex).trim();
-        let value = raw.substring(eqIndex + 1);
-        
-        // Handle quoted values
-        const trimmedValue = value.trim();
-        let parsedValue = value;
-        
-        if ((trimmedValue.startsWith('"') && trimmedValue.endsWith('"')) ||
-            (trimmedValue.startsWith("'") && trimmedValue.endsWith("'"))) {
-          // Remove quotes
-          parsedValue = trimmedValue.slice(1, -1);
-        } else {
-          parsedValue = trimmedValue;
-        }
-        
-        // Check if value is encrypted
-        const encrypted = parsedValue.startsWith('encrypted:');
-        
-        result.lines.push({
-          type: 'entry',
-          key,
-          value: parsedValue,
-          encrypted,
-          raw
-        });
-      } else {
-        // Invalid line, keep as-is
-        result.lines.push({ type: 'unknown', raw });
-      }
+    const normalized = content
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n/g, '\n')
+      .replace(/\n$/, '');
+    result.lines = parseEnvContent(normalized);
+    
+    // A line (e.g. a multiline value) may span several lines of the file
+    const eols = content.match(/\r?\n/g) || [];
+    let index = 0;
+    for (const line of result.lines) {
+      const count = line.raw.split('\n').length;
+      line.eols = eols.slice(index, index + count);
+      index += count;
     }
   } catch (err) {
     console.error('Error parsing env file:', err.message);
@@ -143,31 +555,154 @@ function getEntries(parsed) {
 }
 
 /**
- * Write env file back preserving structure
- * @param {string} filepath - Full path to env file
- * @param {object} parsed - Parsed structure to write
+ * Check if a value can be written with a given quote style
+ * @param {string} value - Value to write
+ * @param {string} quote - '', '"', "'" or '`'
+ * @returns {boolean}
  */
-function writeEnvFile(filepath, parsed) {
-  const lines = parsed.lines.map(line => {
+function canUseQuote(value, quote) {
+  if (quote === '') {
+    // Unquoted values are trimmed and end at "#" or a newline
+    return !/[\r\n#]/.test(value) && value === value.trim() && !QUOTES.includes(value[0]);
+  }
+  
+  // A quote can't be escaped inside a value, and a trailing backslash
+  // would escape the closing quote
+  if (value.includes(quote) || value.endsWith('\\')) {
+    return false;
+  }
+  
+  // Double quotes turn \n \r \t into control characters, also in multiline
+  // values, so a literal backslash sequence needs another quote style
+  if (quote === '"') {
+    return !/\\[nrt]/.test(value);
+  }
+  
+  return true;
+}
+
+/**
+ * Wrap a value in quotes, escaping control characters for double quotes
+ * @param {string} value - Value to quote
+ * @param {string} quote - '', '"', "'" or '`'
+ * @param {boolean} multiline - Keep real newlines inside double quotes
+ * @returns {string}
+ */
+function quoteValue(value, quote, multiline = false) {
+  if (quote !== '"') {
+    return `${quote}${value}${quote}`;
+  }
+  
+  let escaped = value.replace(/\r/g, '\\r');
+  if (!multiline) {
+    escaped = escaped.replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+  }
+  
+  return `"${escaped}"`;
+}
+
+/**
+ * Format a value so dotenvx reads it back unchanged
+ * Uses the preferred quote style when it can hold the value. Otherwise
+ * prefers no quotes, then double quotes (with \n \r \t escapes), then
+ * single quotes, then backticks.
+ * @param {string} value - Value to format
+ * @param {string|null} preferredQuote - Quote style to keep if possible
+ * @param {boolean} multiline - Keep real newlines inside double quotes
+ * @returns {string} - Value as it should appear after "="
+ */
+function formatValue(value, preferredQuote = null, multiline = false) {
+  if (preferredQuote !== null && canUseQuote(value, preferredQuote)) {
+    return quoteValue(value, preferredQuote, multiline);
+  }
+  
+  if (!/[\s#"'`]/.test(value)) {
+    return value;
+  }
+  
+  for (const q of QUOTES) {
+    if (canUseQuote(value, q)) {
+      return quoteValue(value, q);
+    }
+  }
+  
+  throw new Error('Value contains every quote character and cannot be written');
+}
+
+/**
+ * Serialize parsed structure back to file content
+ * Entries whose value is unchanged are written exactly as they were read.
+ * Edited entries keep their prefix (indent, export, spacing around "="),
+ * quote style and trailing comment. The file's BOM and final newline are
+ * restored from `parsed.format`. Lines written as they were read keep their
+ * own line endings; edited and new lines get the file's usual one.
+ * @param {object} parsed - Parsed structure to serialize
+ * @returns {string} - File content
+ */
+function serializeEnvFile(parsed) {
+  const format = parsed.format || { bom: false, eol: '\n', finalNewline: false };
+  
+  const texts = parsed.lines.map(line => {
     if (line.type === 'entry') {
-      // Determine if we need quotes
-      const needsQuotes = line.value.includes(' ') || 
-                          line.value.includes('#') ||
-                          line.value.includes('\n') ||
-                          line.value.includes('"') ||
-                          line.value.includes("'");
+      if (line.raw !== undefined && line.value === line.originalValue) {
+        return line.raw;
+      }
       
-      if (needsQuotes) {
-        // Escape double quotes and wrap in double quotes
-        const escaped = line.value.replace(/"/g, '\\"');
-        return `${line.key}="${escaped}"`;
+      if (line.prefix !== undefined) {
+        return `${line.prefix}${formatValue(line.value, line.quote, line.multiline)}${line.suffix}`;
       }
-      return `${line.key}=${line.value}`;
+      
+      return `${line.key}=${formatValue(line.value)}`;
     }
     return line.raw;
   });
   
-  fs.writeFileSync(filepath, lines.join('\n'), 'utf8');
+  let content = '';
+  texts.forEach((text, i) => {
+    const line = parsed.lines[i];
+    const eols = text === line.raw && line.eols ? line.eols : [];
+    const parts = text.split('\n');
+    const last = i === texts.length - 1;
+    
+    parts.forEach((part, j) => {
+      content += part;
+      if (j < parts.length - 1 || !last || format.finalNewline) {
+        content += eols[j] || format.eol;
+      }
+    });
+  });
+  
+  return (format.bom ? '\uFEFF' : '') + content;
+}
+
+/**
+ * Get the version of a file's current content
+ * Clients send it back with changes so a file changed in the meantime
+ * isn't overwritten.
+ * @param {string} filepath - Full path to env file
+ * @returns {string|null} - Content hash, or null if the file doesn't exist
+ */
+function getFileVersion(filepath) {
+  if (!fs.existsSync(filepath)) {
+    return null;
+  }
+  
+  return crypto.createHash('sha256')
+    .update(fs.readFileSync(filepath))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Write env file back preserving structure
+ * The file is replaced atomically, keeping its mode (0600 for new files).
+ * Callers snapshot the previous content first (historyService.snapshotFile)
+ * so the write can be undone.
+ * @param {string} filepath - Full path to env file
+ * @param {object} parsed - Parsed structure to write
+ */
+function writeEnvFile(filepath, parsed) {
+  fileService.writeFileAtomic(filepath, serializeEnvFile(parsed));
 }
 
 /**
@@ -190,8 +725,7 @@ function addEntry(parsed, key, value) {
     type: 'entry',
     key,
     value,
-    encrypted,
-    raw: `${key}=${value}`
+    encrypted
   });
   
   return parsed;
@@ -210,9 +744,9 @@ function updateEntry(parsed, key, newValue) {
     throw new Error(`Key "${key}" not found`);
   }
   
+  // Quoting, spacing and inline comment are kept by writeEnvFile
   entry.value = newValue;
   entry.encrypted = newValue.startsWith('encrypted:');
-  entry.raw = `${key}=${newValue}`;
   
   return parsed;
 }
@@ -243,11 +777,21 @@ function isValidKey(key) {
 }
 
 module.exports = {
+  isEnvFile,
+  matchesPattern,
+  resolveEnvFile,
   scanEnvFiles,
+  scanEnvDirs,
   hasKeysFile,
+  isKeysFileIgnored,
+  addKeysFileToGitignore,
+  detectFormat,
+  parseEnvContent,
   parseEnvFile,
   getEntries,
+  serializeEnvFile,
   writeEnvFile,
+  getFileVersion,
   addEntry,
   updateEntry,
   deleteEntry,
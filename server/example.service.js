@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const envService = require('./env.service');
+const historyService = require('./history.service');
+
+// Template file listing the keys every env file should define
+const EXAMPLE_FILE = '.env.example';
+
+/**
+ * Check if a key is a dotenvx public key (not part of the template)
+ * @param {string} key - Key name
+ * @returns {boolean}
+ */
+function isPublicKeyEntry(key) {
+  return key.startsWith('DOTENV_PUBLIC_KEY');
+}
+
+/**
+ * Get the .env.example that belongs to an env file (the one in its directory)
+ * @param {string} filename - Env file name, e.g. .env or apps/web/.env
+ * @returns {string} - Example file name relative to the folder
+ */
+function getExampleFile(filename) {
+  return path.posix.join(path.posix.dirname(filename), EXAMPLE_FILE);
+}
+
+/**
+ * Get the folder's own env files, without .env.example
+ * Files found in subdirectories by a recursive scan have their own template.
+ * @param {string} cwd - Current working directory
+ * @returns {string[]}
+ */
+function getTopLevelFiles(cwd) {
+  return envService.scanEnvFiles(cwd).filter(file => !file.includes('/') && file !== EXAMPLE_FILE);
+}
+
+/**
+ * Get the key names of an env file, without dotenvx public keys
+ * @param {string} filepath - Full path to env file
+ * @returns {string[]}
+ */
+function getKeyNames(filepath) {
+  return envService.getEntries(envService.parseEnvFile(filepath))
+    .map(e => e.key)
+    .filter(key => !isPublicKeyEntry(key));
+}
+
+/**
+ * Strip values from a parsed env file, keeping comments and layout
+ * The dotenvx public key header is dropped as it belongs to the source file.
+ * @param {object} parsed - Parsed env file structure
+ * @param {string} filename - Source file name
+ * @returns {object[]} - Lines for the example file
+ */
+function stripValues(parsed, filename) {
+  const lines = [];
+  const fileComment = `# ${path.basename(filename)}`;
+
+  for (let i = 0; i < parsed.lines.length; i++) {
+    const line = parsed.lines[i];
+
+    if (line.type === 'comment' && line.raw.startsWith('#/')) {
+      continue;
+    }
+
+    if (line.type === 'entry' && isPublicKeyEntry(line.key)) {
+      // Also skip the blank line and "# filename" comment dotenvx puts after it
+      const next = parsed.lines[i + 1];
+      const afterNext = parsed.lines[i + 2];
+      if (next && next.type === 'empty' && afterNext && afterNext.raw === fileComment) {
+        i += 2;
+      }
+      continue;
+    }
+
+    if (line.type === 'entry') {
+      // Keep prefix (export, spacing) and inline comment, drop the value
+      lines.push({
+        ...line,
+        value: '',
+        encrypted: false,
+        quote: null,
+        multiline: false,
+        originalValue: undefined,
+        raw: undefined
+      });
+      continue;
+    }
+
+    lines.push(line);
+  }
+
+  // Don't start the file with blank lines left over from the header
+  while (lines.length > 0 && lines[0].type === 'empty') {
+    lines.shift();
+  }
+
+  return lines;
+}
+
+/**
+ * Write .env.example from an env file with values stripped
+ * The example is written next to the source file.
+ * @param {string} cwd - Current working directory
+ * @param {string} source - Source env file name
+ * @returns {string[]} - Keys written to the example
+ */
+function generateExample(cwd, source) {
+  if (path.basename(source) === EXAMPLE_FILE) {
+    throw new Error(`Can't generate ${EXAMPLE_FILE} from itself`);
+  }
+
+  const parsed = envService.parseEnvFile(path.join(cwd, source));
+  const example = {
+    filepath: path.join(cwd, getExampleFile(source)),
+    format: parsed.format,
+    lines: stripValues(parsed, source)
+  };
+
+  historyService.snapshotFile(example.filepath);
+  envService.writeEnvFile(example.filepath, example);
+
+  return example.lines.filter(l => l.type === 'entry').map(l => l.key);
+}
+
+/**
+ * Find keys that differ between .env.example and the other env files
+ * @param {string} cwd - Current working directory
+ * @returns {object} - { exists, missingFromExample: [{ key, files }], missingFromFiles: [{ file, keys }] }
+ */
+function detectDrift(cwd) {
+  const examplePath = path.join(cwd, EXAMPLE_FILE);
+  const files = getTopLevelFiles(cwd);
+  const result = { exists: fs.existsSync(examplePath), missingFromExample: [], missingFromFiles: [] };
+
+  if (!result.exists) {
+    return result;
+  }
+
+  const exampleKeys = new Set(getKeyNames(examplePath));
+  const missing = new Map();
+
+  for (const file of files) {
+    const keys = new Set(getKeyNames(path.join(cwd, file)));
+
+    for (const key of keys) {
+      if (exampleKeys.has(key)) continue;
+      if (!missing.has(key)) missing.set(key, []);
+      missing.get(key).push(file);
+    }
+
+    const absent = [...exampleKeys].filter(key => !keys.has(key));
+    if (absent.length > 0) {
+      result.missingFromFiles.push({ file, keys: absent });
+    }
+  }
+
+  result.missingFromExample = [...missing.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, inFiles]) => ({ key, files: inFiles }));
+
+  return result;
+}
+
+/**
+ * Add keys found in env files but missing from .env.example, with empty
+ * values so no secret ends up in the template
+ * @param {string} cwd - Current working directory
+ * @returns {string[]} - Keys added
+ */
+function syncExample(cwd) {
+  const examplePath = path.join(cwd, EXAMPLE_FILE);
+  const { exists, missingFromExample } = detectDrift(cwd);
+
+  let parsed;
+  if (exists) {
+    parsed = envService.parseEnvFile(examplePath);
+  } else {
+    parsed = { filepath: examplePath, format: { bom: false, eol: '\n', finalNewline: true }, lines: [] };
+
+    // Without a template every key in every file is missing
+    const keys = new Set();
+    for (const file of getTopLevelFiles(cwd)) {
+      getKeyNames(path.join(cwd, file)).forEach(key => keys.add(key));
+    }
+    missingFromExample.push(...[...keys].sort().map(key => ({ key })));
+  }
+
+  const added = missingFromExample.map(item => item.key);
+  if (added.length === 0) {
+    return added;
+  }
+
+  for (const key of added) {
+    envService.addEntry(parsed, key, '');
+  }
+  historyService.snapshotFile(examplePath);
+  envService.writeEnvFile(examplePath, parsed);
+
+  return added;
+}
+
+module.exports = {
+  EXAMPLE_FILE,
+  getExampleFile,
+  generateExample,
+  detectDrift,
+  syncExample
+};
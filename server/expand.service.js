@@ -0,0 +1,253 @@
+const path = require('path');
+const { execSync } = require('child_process');
+const envService = require('./env.service');
+const cryptoService = require('./crypto.service');
+
+// dotenvx.parse() can't resolve values here: it always runs $(command)
+// substitutions, in envx-ui's own directory, and doesn't tell which
+// references were found. test/expand.test.js checks both give the same values.
+
+// Same patterns dotenvx uses for $(command) and ${VAR} / $VAR
+const COMMAND_PATTERN = /\$\(([^)]+(?:\)[^(]*)*)\)/g;
+const REFERENCE_PATTERN = /(?<!\\)\${([^{}]+)}|(?<!\\)\$([A-Za-z_][A-Za-z0-9_]*)/g;
+const OPERATOR_PATTERN = /(:\+|\+|:-|-)/;
+
+// Guards against values that keep expanding into new references
+const MAX_EXPANSIONS = 100;
+const COMMAND_TIMEOUT = 10000;
+
+/**
+ * Split a ${...} expression into key, operator and operand
+ * @param {string} expression - Text between the braces (or bare name)
+ * @returns {object} - { key, operator, operand }
+ */
+function parseExpression(expression) {
+  const match = expression.match(OPERATOR_PATTERN);
+  if (!match) {
+    return { key: expression, operator: null, operand: '' };
+  }
+
+  const parts = expression.split(match[0]);
+  return { key: parts.shift(), operator: match[0], operand: parts.join(match[0]) };
+}
+
+/**
+ * Get the keys a value references, in order of appearance
+ * @param {string} value - Raw value
+ * @returns {string[]}
+ */
+function getReferences(value) {
+  return [...value.matchAll(REFERENCE_PATTERN)]
+    .map(match => parseExpression(match[1] || match[2]).key);
+}
+
+/**
+ * Find keys whose references loop back to themselves
+ * @param {Map} references - key -> referenced keys
+ * @returns {Map} - key -> cycle path (e.g. ['A', 'B', 'A'])
+ */
+function findCycles(references) {
+  const cycles = new Map();
+
+  for (const start of references.keys()) {
+    const stack = [[start, [start]]];
+    const visited = new Set();
+
+    while (stack.length > 0) {
+      const [key, trail] = stack.pop();
+
+      for (const ref of references.get(key) || []) {
+        if (ref === start) {
+          cycles.set(start, [...trail, start]);
+          stack.length = 0;
+          break;
+        }
+        if (!visited.has(ref) && references.has(ref)) {
+          visited.add(ref);
+          stack.push([ref, [...trail, ref]]);
+        }
+      }
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Expand references in a value the way dotenvx does: only keys defined
+ * earlier in the file are visible, empty values count as unset, and
+ * expansion stops at values that came from single-quoted literals.
+ * @param {string} value - Value to expand
+ * @param {object} running - Resolved values of earlier keys
+ * @param {object} literals - Single-quoted values of earlier keys
+ * @returns {object} - { value, references: [{ key, found, defaulted }], truncated }
+ */
+function expandValue(value, running, literals) {
+  const references = [];
+  const pattern = new RegExp(REFERENCE_PATTERN.source, 'g');
+  let result = value;
+  let match;
+  let count = 0;
+
+  while ((match = pattern.exec(result)) !== null) {
+    if (++count > MAX_EXPANSIONS) {
+      return { value: result, references, truncated: true };
+    }
+
+    const [template, braced, unbraced] = match;
+    const { key, operator, operand } = parseExpression(braced || unbraced);
+    const current = running[key];
+    let replacement;
+
+    if (operator === ':+' || operator === '+') {
+      replacement = current ? operand : '';
+    } else {
+      replacement = current || operand;
+    }
+
+    references.push({ key, found: !!current, defaulted: !current && operator !== null });
+    result = result.replace(template, replacement);
+
+    if (result === current) break;
+    if (literals[key] && /\$\{[^}]+\}|\$[A-Za-z_][A-Za-z0-9_]*/.test(literals[key])) break;
+
+    pattern.lastIndex = 0;
+  }
+
+  return { value: result, references, truncated: false };
+}
+
+/**
+ * Run the $(command) substitutions of a value
+ * @param {string} value - Value containing commands
+ * @param {object} running - Resolved values of earlier keys (added to the env)
+ * @param {string} cwd - Working directory for the commands
+ * @returns {string}
+ */
+function runCommands(value, running, cwd) {
+  const matches = value.match(COMMAND_PATTERN) || [];
+
+  return matches.reduce((result, match) => {
+    const command = match.slice(2, -1);
+    const output = execSync(command, {
+      cwd,
+      env: { ...process.env, ...running },
+      timeout: COMMAND_TIMEOUT,
+      stdio: ['ignore', 'pipe', 'pipe']
+    }).toString();
+
+    return result.replace(match, output.replace(/[\r\n]+$/, ''));
+  }, value);
+}
+
+/**
+ * Resolve ${VAR}, ${VAR:-default} and $(command) for every entry of a file
+ * Encrypted values are decrypted first when the private key is available.
+ * Commands are listed but only executed when `options.runCommands` is set,
+ * in the file's own directory.
+ * The environment of envx-ui itself is not used, only the file's own keys.
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @param {object} options - { runCommands }
+ * @returns {object} - key -> { resolved, references, commands, issues }
+ *   for entries that use expansion or commands
+ */
+function resolveFile(filename, cwd, options = {}) {
+  const parsed = envService.parseEnvFile(path.join(cwd, filename));
+  const entries = parsed.lines.filter(l => l.type === 'entry');
+  const decryptedValues = cryptoService.decryptFile(filename, cwd) || {};
+
+  const values = new Map();
+  const references = new Map();
+  for (const entry of entries) {
+    const value = entry.key in decryptedValues ? decryptedValues[entry.key] : entry.value;
+    values.set(entry.key, value);
+    references.set(entry.key, entry.quote === "'" || cryptoService.isEncrypted(value) ? [] : getReferences(value));
+  }
+
+  const cycles = findCycles(references);
+  const positions = new Map(entries.map((entry, i) => [entry.key, i]));
+  const running = {};
+  const literals = {};
+  const locked = new Set();
+  const result = {};
+
+  entries.forEach((entry, index) => {
+    const value = values.get(entry.key);
+
+    if (cryptoService.isEncrypted(value)) {
+      locked.add(entry.key);
+      running[entry.key] = value;
+      return;
+    }
+
+    if (entry.quote === "'") {
+      literals[entry.key] = value;
+      running[entry.key] = value;
+      return;
+    }
+
+    const commands = (value.match(COMMAND_PATTERN) || []).map(match => match.slice(2, -1));
+    const refs = references.get(entry.key);
+    if (commands.length === 0 && refs.length === 0) {
+      running[entry.key] = value.replace(/\\\$/g, '$');
+      return;
+    }
+
+    const info = { resolved: null, references: refs, commands, issues: [] };
+    result[entry.key] = info;
+
+    if (cycles.has(entry.key)) {
+      info.issues.push({ type: 'cycle', message: `Cycle: ${cycles.get(entry.key).join(' → ')}` });
+    }
+
+    // Like dotenvx, a value with commands is not expanded further
+    if (commands.length > 0) {
+      if (options.runCommands) {
+        try {
+          info.resolved = runCommands(value, running, path.join(cwd, path.dirname(filename)));
+        } catch (err) {
+          info.issues.push({ type: 'command', message: `Command failed: ${err.message.trim()}` });
+        }
+      }
+      running[entry.key] = info.resolved !== null ? info.resolved : value;
+      return;
+    }
+
+    const expanded = expandValue(value, running, literals);
+    info.resolved = expanded.value.replace(/\\\$/g, '$');
+    running[entry.key] = info.resolved;
+
+    if (expanded.truncated) {
+      info.issues.push({ type: 'cycle', message: 'Expansion does not terminate' });
+    }
+
+    const cycle = cycles.get(entry.key) || [];
+    for (const ref of expanded.references) {
+      if (ref.found || ref.defaulted || cycle.includes(ref.key)) continue;
+
+      let message;
+      if (locked.has(ref.key)) {
+        message = `${ref.key} is encrypted and no private key is available`;
+      } else if (positions.has(ref.key) && positions.get(ref.key) >= index) {
+        message = ref.key === entry.key
+          ? `${ref.key} references itself`
+          : `${ref.key} is defined later in the file`;
+      } else if (positions.has(ref.key)) {
+        message = `${ref.key} is empty`;
+      } else {
+        message = `${ref.key} is not defined`;
+      }
+
+      info.issues.push({ type: 'unresolved', key: ref.key, message });
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  getReferences,
+  expandValue,
+  resolveFile
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mode for new files that hold secrets (env files, .env.keys)
+const SECRET_FILE_MODE = 0o600;
+
+/**
+ * Write a file so it is either fully replaced or left untouched
+ * The content goes to a temp file next to it, is flushed to disk and then
+ * renamed over the original. An existing file keeps its mode and owner;
+ * a new one gets `options.mode`. Symlinks are followed, not replaced.
+ * @param {string} filepath - Path to write
+ * @param {string} content - New content
+ * @param {object} options - { mode } for new files (default 0600)
+ */
+function writeFileAtomic(filepath, content, options = {}) {
+  const target = fs.existsSync(filepath) ? fs.realpathSync(filepath) : filepath;
+  const existing = fs.existsSync(target) ? fs.statSync(target) : null;
+  const mode = existing ? existing.mode & 0o7777 : (options.mode || SECRET_FILE_MODE);
+  const tmp = `${target}.${process.pid}.tmp`;
+
+  let fd = null;
+  try {
+    fd = fs.openSync(tmp, 'w', mode);
+
+    // The mode given to openSync is reduced by the umask
+    fs.fchmodSync(fd, mode);
+    if (existing) {
+      try {
+        fs.fchownSync(fd, existing.uid, existing.gid);
+      } catch (err) {
+        // Only root can give a file away; keep our own ownership then
+        if (err.code !== 'EPERM') throw err;
+      }
+    }
+
+    fs.writeFileSync(fd, content, 'utf8');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+
+    fs.renameSync(tmp, target);
+  } catch (err) {
+    if (fd !== null) fs.closeSync(fd);
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+
+  syncDirectory(path.dirname(target));
+}
+
+/**
+ * Flush a directory entry so a rename survives a crash
+ * Not supported on every platform (e.g. Windows), where it is skipped.
+ * @param {string} dir - Directory path
+ */
+function syncDirectory(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (err) {
+    // Best effort
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Check if a file holding secrets can be read by other users
+ * @param {string} filepath - Path to check
+ * @returns {string|null} - Warning message, or null if the file is private
+ */
+function getPermissionWarning(filepath) {
+  if (process.platform === 'win32' || !fs.existsSync(filepath)) {
+    return null;
+  }
+
+  const mode = fs.statSync(filepath).mode & 0o777;
+  if ((mode & 0o044) === 0) {
+    return null;
+  }
+
+  const name = path.basename(filepath);
+  const readers = mode & 0o004 ? 'all users' : 'its group';
+  return `${name} is readable by ${readers} (mode ${mode.toString(8).padStart(4, '0')}). Run: chmod 600 ${name}`;
+}
+
+module.exports = {
+  SECRET_FILE_MODE,
+  writeFileAtomic,
+  getPermissionWarning
+};
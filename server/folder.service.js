@@ -1,16 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const fileService = require('./file.service');
 
 // Config file location
 const CONFIG_DIR = path.join(os.homedir(), '.envx-ui');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 
+// Optional per-project settings, committed with the project
+const PROJECT_FILE = '.envx-ui.json';
+
+// Env files detected when a folder doesn't set `include`
+const DEFAULT_INCLUDE = ['.env', '.env.*'];
+
 // Default config
 const DEFAULT_CONFIG = {
   savedFolders: [],
   recentFolders: [],
-  maxRecent: 10
+  maxRecent: 10,
+  historyLimit: 20,
+  scanDepth: 4,
+  folderSettings: {}
 };
 
 /**
@@ -49,7 +59,7 @@ function saveConfig(config) {
   ensureConfigDir();
   
   try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+    fileService.writeFileAtomic(CONFIG_FILE, JSON.stringify(config, null, 2), { mode: 0o644 });
   } catch (err) {
     console.error('Error saving config:', err.message);
   }
@@ -144,6 +154,119 @@ function addRecentFolder(folderPath) {
   saveConfig(config);
 }
 
+/**
+ * Read a glob list setting, ignoring anything that isn't a list of strings
+ * @param {*} value - Setting value
+ * @param {string} name - Setting name, for the error message
+ * @param {string} source - File the setting comes from
+ * @returns {string[]|undefined}
+ */
+function readPatterns(value, name, source) {
+  if (value === undefined) {
+    return undefined;
+  }
+  
+  if (!Array.isArray(value) || value.some(p => typeof p !== 'string' || p === '')) {
+    console.error(`Ignoring ${name} in ${source}: expected a list of glob patterns`);
+    return undefined;
+  }
+  
+  return value;
+}
+
+/**
+ * Read the `environments` setting (glob -> environment name)
+ * @param {*} value - Setting value
+ * @param {string} source - File the setting comes from
+ * @returns {object|undefined}
+ */
+function readEnvironments(value, source) {
+  if (value === undefined) {
+    return undefined;
+  }
+  
+  const valid = value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(env => typeof env === 'string' && /^[a-zA-Z0-9_]+$/.test(env));
+  if (!valid) {
+    console.error(`Ignoring environments in ${source}: expected glob patterns mapped to environment names`);
+    return undefined;
+  }
+  
+  return value;
+}
+
+/**
+ * Load the project settings file of a folder
+ * @param {string} folderPath - Folder path
+ * @returns {object} - Settings, empty if the folder has none
+ */
+function loadProjectSettings(folderPath) {
+  const projectPath = path.join(folderPath, PROJECT_FILE);
+  
+  try {
+    if (fs.existsSync(projectPath)) {
+      const settings = JSON.parse(fs.readFileSync(projectPath, 'utf8'));
+      if (settings && typeof settings === 'object' && !Array.isArray(settings)) {
+        return settings;
+      }
+      console.error(`Error loading ${PROJECT_FILE}: expected an object`);
+    }
+  } catch (err) {
+    console.error(`Error loading ${PROJECT_FILE}:`, err.message);
+  }
+  
+  return {};
+}
+
+/**
+ * Get the settings of a folder
+ * Stored per folder in config.json under `folderSettings`. The env file
+ * patterns (`include`, `exclude`, `environments`) can also come from a
+ * .envx-ui.json in the folder, which wins over config.json.
+ * @param {string} folderPath - Folder path
+ * @returns {object} - { recursive, scanDepth, include, exclude, environments }
+ */
+function getFolderSettings(folderPath) {
+  const absPath = path.resolve(folderPath);
+  const config = loadConfig();
+  const settings = (config.folderSettings || {})[absPath] || {};
+  const project = loadProjectSettings(absPath);
+  
+  return {
+    recursive: settings.recursive === true,
+    scanDepth: Number(settings.scanDepth) || Number(config.scanDepth) || DEFAULT_CONFIG.scanDepth,
+    include: readPatterns(project.include, 'include', PROJECT_FILE) ||
+      readPatterns(settings.include, 'include', CONFIG_FILE) ||
+      DEFAULT_INCLUDE,
+    exclude: readPatterns(project.exclude, 'exclude', PROJECT_FILE) ||
+      readPatterns(settings.exclude, 'exclude', CONFIG_FILE) ||
+      [],
+    environments: readEnvironments(project.environments, PROJECT_FILE) ||
+      readEnvironments(settings.environments, CONFIG_FILE) ||
+      {}
+  };
+}
+
+/**
+ * Change settings of a folder
+ * @param {string} folderPath - Folder path
+ * @param {object} changes - Settings to change, e.g. { recursive: true }
+ * @returns {object} - Updated settings
+ */
+function updateFolderSettings(folderPath, changes) {
+  const absPath = path.resolve(folderPath);
+  const config = loadConfig();
+  const folderSettings = config.folderSettings || {};
+  
+  config.folderSettings = {
+    ...folderSettings,
+    [absPath]: { ...folderSettings[absPath], ...changes }
+  };
+  saveConfig(config);
+  
+  return getFolderSettings(absPath);
+}
+
 /**
  * Validate folder path
  * @param {string} folderPath - Path to validate
@@ -175,7 +298,8 @@ function getFolderInfo(folderPath) {
   return {
     path: absPath,
     name: path.basename(absPath),
-    isSaved: config.savedFolders.includes(absPath)
+    isSaved: config.savedFolders.includes(absPath),
+    settings: getFolderSettings(absPath)
   };
 }
 
@@ -353,6 +477,8 @@ function searchDirectory(dir, query, results, seen, depth, maxDepth, maxResults)
 }
 
 module.exports = {
+  CONFIG_DIR,
+  PROJECT_FILE,
   getSavedFolders,
   addSavedFolder,
   removeSavedFolder,
@@ -360,6 +486,8 @@ module.exports = {
   addRecentFolder,
   validateFolder,
   getFolderInfo,
+  getFolderSettings,
+  updateFolderSettings,
   loadConfig,
   saveConfig,
   listDirectory,
@@ -0,0 +1,318 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const envService = require('./env.service');
+const historyService = require('./history.service');
+const cryptoService = require('./crypto.service');
+
+// Formats accepted by parseImport
+const IMPORT_FORMATS = ['auto', 'dotenv', 'json', 'yaml'];
+
+// Formats produced by exportFile, with the download file suffix
+const EXPORT_FORMATS = {
+  json: '.json',
+  yaml: '.yaml',
+  shell: '.sh',
+  docker: '.docker.env',
+  'k8s-secret': '.secret.yaml'
+};
+
+/**
+ * Turn a JSON/YAML scalar into an env value
+ * @param {*} value - Parsed value
+ * @returns {string}
+ */
+function toEnvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Convert a parsed JSON object / YAML mapping to entries
+ * @param {*} data - Parsed document
+ * @param {string} format - Format name for error messages
+ * @returns {Array} - [{ key, value }]
+ */
+function objectToEntries(data, format) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Expected a ${format === 'json' ? 'JSON object' : 'YAML mapping'} of keys to values`);
+  }
+
+  return Object.entries(data).map(([key, value]) => ({ key, value: toEnvValue(value) }));
+}
+
+/**
+ * Guess the format of pasted content
+ * @param {string} content - Pasted text
+ * @returns {string} - 'json', 'dotenv' or 'yaml'
+ */
+function detectImportFormat(content) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{')) {
+    return 'json';
+  }
+
+  // dotenv also accepts "KEY: value", so only fall back to YAML when
+  // some line isn't valid dotenv
+  const lines = envService.parseEnvContent(content.replace(/\r\n/g, '\n'));
+  return lines.some(l => l.type === 'unknown') ? 'yaml' : 'dotenv';
+}
+
+/**
+ * Parse pasted dotenv text, JSON or YAML into entries
+ * @param {string} content - Text to import
+ * @param {string} format - 'auto', 'dotenv', 'json' or 'yaml'
+ * @returns {object} - { format, entries: [{ key, value }] }
+ */
+function parseImport(content, format = 'auto') {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('Nothing to import');
+  }
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}"`);
+  }
+
+  const detected = format === 'auto' ? detectImportFormat(content) : format;
+  let entries;
+
+  try {
+    if (detected === 'json') {
+      entries = objectToEntries(JSON.parse(content), 'json');
+    } else if (detected === 'yaml') {
+      entries = objectToEntries(yaml.load(content), 'yaml');
+    } else {
+      const normalized = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+      entries = envService.getEntries({ lines: envService.parseEnvContent(normalized) })
+        .map(({ key, value }) => ({ key, value }));
+    }
+  } catch (err) {
+    throw new Error(`Invalid ${detected}: ${err.message}`);
+  }
+
+  return { format: detected, entries };
+}
+
+/**
+ * Compare entries to import against an env file
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @param {Array} entries - Entries from parseImport
+ * @returns {Array} - [{ key, status }] with status new/update/unchanged/invalid
+ */
+function previewImport(filename, cwd, entries) {
+  const parsed = envService.parseEnvFile(path.join(cwd, filename));
+  const decryptedValues = cryptoService.decryptFile(filename, cwd) || {};
+  const existing = new Map(envService.getEntries(parsed).map(e => [e.key, e]));
+  const seen = new Set();
+
+  return entries.map(({ key, value }) => {
+    if (!envService.isValidKey(key)) {
+      return { key, status: 'invalid', error: 'Invalid key name' };
+    }
+
+    if (seen.has(key)) {
+      return { key, status: 'invalid', error: 'Duplicate key in import' };
+    }
+    seen.add(key);
+
+    const current = existing.get(key);
+    if (!current) {
+      return { key, status: 'new' };
+    }
+
+    const currentValue = key in decryptedValues ? decryptedValues[key] : current.value;
+    return { key, status: currentValue === value ? 'unchanged' : 'update' };
+  });
+}
+
+/**
+ * Apply imported entries to an env file in a single write
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @param {Array} entries - Entries from parseImport
+ * @param {object} options - { overwrite, encrypt }
+ * @returns {object} - { added, updated, skipped, encrypted }
+ */
+function applyImport(filename, cwd, entries, options = {}) {
+  const filepath = path.join(cwd, filename);
+  const parsed = envService.parseEnvFile(filepath);
+  const preview = previewImport(filename, cwd, entries);
+
+  const invalid = preview.filter(p => p.status === 'invalid');
+  if (invalid.length > 0) {
+    throw new Error(`Invalid keys: ${invalid.map(p => p.key).join(', ')}`);
+  }
+
+  let publicKey = null;
+  if (options.encrypt && cryptoService.isEncryptedFile(parsed, filename, cwd)) {
+    publicKey = cryptoService.getPublicKeyForFile(filename, cwd);
+    if (!publicKey) {
+      throw new Error(`No public key found for ${filename}`);
+    }
+  }
+
+  const result = { added: [], updated: [], skipped: [], encrypted: !!publicKey };
+
+  entries.forEach(({ key, value }, i) => {
+    const status = preview[i].status;
+
+    if (status === 'unchanged' || (status === 'update' && !options.overwrite)) {
+      result.skipped.push(key);
+      return;
+    }
+
+    const newValue = publicKey ? cryptoService.encrypt(value, publicKey) : value;
+
+    if (status === 'update') {
+      envService.updateEntry(parsed, key, newValue);
+      result.updated.push(key);
+    } else {
+      envService.addEntry(parsed, key, newValue);
+      result.added.push(key);
+    }
+  });
+
+  if (result.added.length > 0 || result.updated.length > 0) {
+    historyService.snapshotFile(filepath);
+    envService.writeEnvFile(filepath, parsed);
+  }
+
+  return result;
+}
+
+/**
+ * Quote a value for POSIX shells
+ * @param {string} value - Value to quote
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Derive a Kubernetes resource name from an env file name
+ * (.env.production -> env-production)
+ * @param {string} filename - Env file name
+ * @returns {string}
+ */
+function secretName(filename) {
+  const name = path.basename(filename)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return name || 'env';
+}
+
+/**
+ * Load an env file as key/value pairs for export
+ * Values are exported as they are in the file (ciphertext stays encrypted)
+ * unless decrypt is set. Asking to decrypt a file with encrypted values
+ * but no private key is an error rather than a ciphertext export.
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @param {boolean} decrypt - Export decrypted values
+ * @returns {object} - { values, decrypted }
+ */
+function loadExportValues(filename, cwd, decrypt) {
+  const parsed = envService.parseEnvFile(path.join(cwd, filename));
+  const privateKey = decrypt && cryptoService.getKeyForFile(filename, cryptoService.getKeys(cwd, filename), cwd);
+  const decryptedValues = privateKey ? cryptoService.decryptFile(filename, cwd) : null;
+  const values = {};
+
+  if (decrypt && !privateKey && parsed.lines.some(l => l.type === 'entry' && l.encrypted)) {
+    throw new Error(`No private key to decrypt ${filename} with`);
+  }
+
+  for (const entry of envService.getEntries(parsed)) {
+    if (decryptedValues) {
+      // The public key is only needed alongside ciphertext
+      if (entry.key.startsWith('DOTENV_PUBLIC_KEY')) continue;
+      values[entry.key] = entry.key in decryptedValues ? decryptedValues[entry.key] : entry.value;
+    } else {
+      values[entry.key] = entry.value;
+    }
+  }
+
+  return { values, decrypted: !!decryptedValues };
+}
+
+/**
+ * Export an env file as JSON, YAML, shell exports, a Docker env file
+ * or a Kubernetes Secret manifest
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {boolean} decrypt - Export decrypted values instead of ciphertext
+ * @returns {object} - { content, filename, decrypted }
+ */
+function exportFile(filename, cwd, format, decrypt = false) {
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    throw new Error(`Unsupported format "${format}"`);
+  }
+
+  const { values, decrypted } = loadExportValues(filename, cwd, decrypt);
+  const keys = Object.keys(values);
+  let content;
+
+  switch (format) {
+    case 'json':
+      content = JSON.stringify(values, null, 2) + '\n';
+      break;
+
+    case 'yaml':
+      content = keys.length > 0 ? yaml.dump(values, { lineWidth: -1 }) : '{}\n';
+      break;
+
+    case 'shell': {
+      // dotenv allows "." and "-" in keys, shells don't
+      const invalid = keys.filter(key => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key));
+      if (invalid.length > 0) {
+        throw new Error(`Not valid shell variable names: ${invalid.join(', ')}`);
+      }
+      content = keys.map(key => `export ${key}=${shellQuote(values[key])}\n`).join('');
+      break;
+    }
+
+    case 'docker': {
+      // docker --env-file takes values literally, one per line
+      const multiline = keys.filter(key => /[\r\n]/.test(values[key]));
+      if (multiline.length > 0) {
+        throw new Error(`Docker env files can't hold multiline values: ${multiline.join(', ')}`);
+      }
+      content = keys.map(key => `${key}=${values[key]}\n`).join('');
+      break;
+    }
+
+    case 'k8s-secret': {
+      const data = {};
+      for (const key of keys) {
+        data[key] = Buffer.from(values[key], 'utf8').toString('base64');
+      }
+      content = yaml.dump({
+        apiVersion: 'v1',
+        kind: 'Secret',
+        metadata: { name: secretName(filename) },
+        type: 'Opaque',
+        data
+      }, { lineWidth: -1 });
+      break;
+    }
+  }
+
+  return {
+    content,
+    filename: path.basename(filename) + EXPORT_FORMATS[format],
+    decrypted
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  EXPORT_FORMATS,
+  parseImport,
+  previewImport,
+  applyImport,
+  exportFile
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const envService = require('./env.service');
+const folderService = require('./folder.service');
+const fileService = require('./file.service');
+
+// Snapshots live next to config.json, one directory per folder
+const HISTORY_DIR = path.join(folderService.CONFIG_DIR, 'history');
+
+/**
+ * Get the history directory for an env file
+ * ~/.envx-ui/history/<folder-hash>/<filename>/
+ * @param {string} filepath - Full path to env file
+ * @returns {string}
+ */
+function getHistoryDir(filepath) {
+  const resolved = path.resolve(filepath);
+  const folderHash = crypto.createHash('sha256')
+    .update(path.dirname(resolved))
+    .digest('hex')
+    .substring(0, 16);
+
+  return path.join(HISTORY_DIR, folderHash, path.basename(resolved));
+}
+
+/**
+ * List snapshot ids of a file, newest first
+ * @param {string} dir - History directory of the file
+ * @returns {string[]}
+ */
+function getSnapshotIds(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => /^\d+\.env$/.test(name))
+    .map(name => name.replace(/\.env$/, ''))
+    .sort((a, b) => Number(b) - Number(a));
+}
+
+/**
+ * Save the current content of a file before it gets overwritten
+ * Unchanged content is not saved twice, and only the newest
+ * `historyLimit` snapshots (from config.json) are kept.
+ * @param {string} filepath - Full path to env file
+ */
+function snapshotFile(filepath) {
+  if (!fs.existsSync(filepath)) {
+    return;
+  }
+
+  const dir = getHistoryDir(filepath);
+  const content = fs.readFileSync(filepath, 'utf8');
+  const ids = getSnapshotIds(dir);
+
+  if (ids.length > 0 && fs.readFileSync(path.join(dir, `${ids[0]}.env`), 'utf8') === content) {
+    return;
+  }
+
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  // Ids are timestamps; bump on collision so each write gets its own
+  let id = Date.now();
+  while (ids.includes(String(id))) id++;
+
+  fs.writeFileSync(path.join(dir, `${id}.env`), content, { encoding: 'utf8', mode: 0o600 });
+  ids.unshift(String(id));
+
+  const limit = Math.max(1, Number(folderService.loadConfig().historyLimit) || 1);
+  for (const old of ids.slice(limit)) {
+    fs.rmSync(path.join(dir, `${old}.env`), { force: true });
+  }
+}
+
+/**
+ * Read the entries of env content as a key -> value map
+ * @param {string} content - Env file content
+ * @returns {Map}
+ */
+function readEntries(content) {
+  const normalized = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  const lines = envService.parseEnvContent(normalized);
+  return new Map(envService.getEntries({ lines }).map(e => [e.key, e.value]));
+}
+
+/**
+ * Diff two versions of a file key by key
+ * @param {string} before - Older content
+ * @param {string} after - Newer content
+ * @returns {object} - { added, removed, changed } with { key, before, after } items
+ */
+function diffContent(before, after) {
+  const beforeEntries = readEntries(before);
+  const afterEntries = readEntries(after);
+  const result = { added: [], removed: [], changed: [] };
+
+  const keys = new Set([...beforeEntries.keys(), ...afterEntries.keys()]);
+  for (const key of keys) {
+    const item = {
+      key,
+      before: beforeEntries.has(key) ? beforeEntries.get(key) : null,
+      after: afterEntries.has(key) ? afterEntries.get(key) : null
+    };
+
+    if (item.before === null) {
+      result.added.push(item);
+    } else if (item.after === null) {
+      result.removed.push(item);
+    } else if (item.before !== item.after) {
+      result.changed.push(item);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read a snapshot
+ * @param {string} filepath - Full path to env file
+ * @param {string} id - Snapshot id
+ * @returns {string} - Snapshot content
+ */
+function readSnapshot(filepath, id) {
+  if (!/^\d+$/.test(id)) {
+    throw new Error('Invalid snapshot id');
+  }
+
+  const snapshotPath = path.join(getHistoryDir(filepath), `${id}.env`);
+  if (!fs.existsSync(snapshotPath)) {
+    throw new Error('Snapshot not found');
+  }
+
+  return fs.readFileSync(snapshotPath, 'utf8');
+}
+
+/**
+ * Get the public key a snapshot's encrypted values belong to
+ * Ciphertext is restored as is, so it must still match the file's key.
+ * @param {string} filepath - Full path to env file
+ * @param {string} id - Snapshot id
+ * @param {string} publicKeyName - e.g. DOTENV_PUBLIC_KEY or DOTENV_PUBLIC_KEY_PRODUCTION
+ * @returns {object} - { publicKey, encrypted } (publicKey null if the snapshot has none)
+ */
+function getSnapshotPublicKey(filepath, id, publicKeyName) {
+  const entries = readEntries(readSnapshot(filepath, id));
+
+  return {
+    publicKey: entries.get(publicKeyName) || null,
+    encrypted: [...entries.values()].some(value => value.startsWith('encrypted:'))
+  };
+}
+
+/**
+ * List snapshots of a file with the keys changed by the write that followed each one
+ * @param {string} filepath - Full path to env file
+ * @returns {Array} - [{ id, timestamp, changedKeys }], newest first
+ */
+function listSnapshots(filepath) {
+  const dir = getHistoryDir(filepath);
+  const ids = getSnapshotIds(dir);
+  let newer = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf8') : '';
+
+  return ids.map(id => {
+    const content = fs.readFileSync(path.join(dir, `${id}.env`), 'utf8');
+    const diff = diffContent(content, newer);
+    newer = content;
+
+    return {
+      id,
+      timestamp: new Date(Number(id)).toISOString(),
+      changedKeys: [...diff.added, ...diff.removed, ...diff.changed].map(item => item.key).sort()
+    };
+  });
+}
+
+/**
+ * Diff a snapshot against the current file
+ * @param {string} filepath - Full path to env file
+ * @param {string} id - Snapshot id
+ * @returns {object} - { added, removed, changed } (before = snapshot, after = current)
+ */
+function diffSnapshot(filepath, id) {
+  const current = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf8') : '';
+  return diffContent(readSnapshot(filepath, id), current);
+}
+
+/**
+ * Put a snapshot back as the file's content
+ * The current content is snapshotted first, so a restore can be undone.
+ * @param {string} filepath - Full path to env file
+ * @param {string} id - Snapshot id
+ */
+function restoreSnapshot(filepath, id) {
+  const content = readSnapshot(filepath, id);
+
+  snapshotFile(filepath);
+  fileService.writeFileAtomic(filepath, content);
+}
+
+module.exports = {
+  snapshotFile,
+  listSnapshots,
+  diffSnapshot,
+  getSnapshotPublicKey,
+  restoreSnapshot
+};
@@ -4,13 +4,38 @@ const helmet = require('helmet');
 const envService = require('./env.service');
 const cryptoService = require('./crypto.service');
 const folderService = require('./folder.service');
+const compareService = require('./compare.service');
+const formatService = require('./format.service');
+const exampleService = require('./example.service');
+const schemaService = require('./schema.service');
+const expandService = require('./expand.service');
+const historyService = require('./history.service');
+const auditService = require('./audit.service');
+const watchService = require('./watch.service');
+const fileService = require('./file.service');
+const authService = require('./auth.service');
+
+/**
+ * Serialize a value for an inline <script> in the page
+ * File names and project settings come from the opened folder, so "<" is
+ * escaped to keep e.g. "</script>" in them from ending the script.
+ * @param {*} value - JSON-serializable value
+ * @returns {string}
+ */
+function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
 
 /**
  * Create and configure Express app
  * @param {string} initialCwd - Initial working directory
+ * @param {object} options - { token } one-time launch token (generated if omitted)
  * @returns {express.Application}
  */
-function createApp(initialCwd) {
+function createApp(initialCwd, options = {}) {
   const app = express();
   
   // Security middleware - protect from browser extensions and XSS
@@ -45,13 +70,60 @@ function createApp(initialCwd) {
     xXssProtection: true
   }));
   
+  // Access control - the API returns decrypted secrets, so only the browser
+  // opened with the launch token may use it
+  let launchToken = options.token || authService.generateToken();
+  const sessionToken = authService.generateToken();
+  
+  const hasSession = (req) => authService.tokensMatch(
+    authService.readCookie(req, authService.getCookieName(req)),
+    sessionToken
+  );
+  
+  // Reject requests for another host (DNS rebinding) or from another site
+  app.use((req, res, next) => {
+    if (!authService.isLocalRequest(req)) {
+      return res.status(403).json({ error: 'Forbidden: unexpected Host or Origin' });
+    }
+    next();
+  });
+  
+  // Exchange the one-time launch token for a session cookie
+  app.get('/', (req, res, next) => {
+    if (!req.query.token) return next();
+    
+    if (!hasSession(req)) {
+      if (!launchToken || !authService.tokensMatch(String(req.query.token), launchToken)) {
+        return res.status(401).send('This link is invalid or was already used. Restart envx-ui to get a new one.');
+      }
+      
+      launchToken = null;
+      res.cookie(authService.getCookieName(req), sessionToken, { httpOnly: true, sameSite: 'strict', path: '/' });
+    }
+    
+    // Drop the token from the address bar and history
+    res.redirect('/');
+  });
+  
+  // The page and the API require the session cookie; static assets don't
+  const requireSession = (req, res, next) => {
+    if (hasSession(req)) return next();
+    
+    if (req.originalUrl.startsWith('/api')) {
+      return res.status(401).json({ error: 'Unauthorized: open envx-ui with the link shown in the terminal' });
+    }
+    res.status(401).send('Open envx-ui with the link shown in the terminal.');
+  };
+  
   // Middleware
   app.use(express.json());
   app.use(express.static(path.join(__dirname, '../public')));
+  app.use('/api', requireSession);
   
   // View engine
   app.set('view engine', 'ejs');
   app.set('views', path.join(__dirname, '../views'));
+  app.locals.toScriptJson = toScriptJson;
   
   // Store cwd in app.locals (mutable)
   app.locals.cwd = initialCwd;
@@ -62,12 +134,137 @@ function createApp(initialCwd) {
   // Helper to get current cwd
   const getCwd = () => app.locals.cwd;
   
+  // Helper to check a file name from a request (see envService.resolveEnvFile)
+  // Returns the reason it is rejected, or null if it is allowed
+  const getFileError = (filename) => {
+    try {
+      envService.resolveEnvFile(getCwd(), filename);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  };
+  
+  // Every route with a :filename only sees env files in the current folder
+  app.param('filename', (req, res, next, filename) => {
+    const error = getFileError(filename);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    next();
+  });
+  
+  // Helper to read a file's entries with encrypted values decrypted where possible
+  const readFileEntries = (filename) => {
+    const cwd = getCwd();
+    const parsed = envService.parseEnvFile(path.join(cwd, filename));
+    const entries = envService.getEntries(parsed);
+    
+    // Try to decrypt encrypted values
+    const keys = cryptoService.getKeys(cwd, filename);
+    const privateKey = cryptoService.getKeyForFile(filename, keys, cwd);
+    
+    // Attempt to get decrypted values using dotenvx
+    let decryptedValues = null;
+    if (privateKey) {
+      decryptedValues = cryptoService.decryptFile(filename, cwd);
+    }
+    
+    // Merge decrypted values with entries
+    const result = entries.map(entry => {
+      const decrypted = decryptedValues && decryptedValues[entry.key];
+      return {
+        key: entry.key,
+        value: entry.value,
+        encrypted: entry.encrypted,
+        decryptedValue: decrypted || (entry.encrypted ? null : entry.value)
+      };
+    });
+    
+    return { parsed, entries: result, hasPrivateKey: !!privateKey };
+  };
+  
+  // Reply with 409 and the file as it is now unless it is still at expected
+  const matchVersion = (res, filename, expected) => {
+    const version = envService.getFileVersion(path.join(getCwd(), filename));
+    if (expected !== version) {
+      res.status(409).json({
+        error: `${filename} was changed since it was loaded`,
+        file: filename,
+        version,
+        entries: version ? readFileEntries(filename).entries : []
+      });
+      return false;
+    }
+    
+    return true;
+  };
+  
+  // Helper to reject a change made against an outdated read of the file
+  // The client sends the version it loaded as If-Match; on a mismatch the
+  // file as it is now is returned so both versions can be shown
+  const checkVersion = (req, res, filename) => {
+    const expected = (req.get('If-Match') || '').replace(/^"|"$/g, '');
+    if (!expected) {
+      res.status(428).json({ error: 'File version is required (If-Match header)' });
+      return false;
+    }
+    
+    return matchVersion(res, filename, expected);
+  };
+  
+  // Same check for routes that write several files, or a file other than
+  // the one in the URL: the client sends { versions: { filename: version } },
+  // with null for a file it expects not to exist yet
+  const checkVersions = (req, res, filenames) => {
+    const versions = req.body.versions || {};
+    
+    for (const filename of filenames) {
+      if (versions[filename] === undefined) {
+        res.status(428).json({ error: `Version of ${filename} is required` });
+        return false;
+      }
+      
+      if (!matchVersion(res, filename, versions[filename])) return false;
+    }
+    
+    return true;
+  };
+  
+  // Helper to list the current version of each file (null if missing)
+  const getFileVersions = (files) => {
+    const cwd = getCwd();
+    const versions = {};
+    for (const file of files) {
+      versions[file] = envService.getFileVersion(path.join(cwd, file));
+    }
+    return versions;
+  };
+  
+  // Browsers listening for changes on disk (Server-Sent Events)
+  const eventClients = new Set();
+  let stopWatching = null;
+  
+  // Watch the current folder only while a browser is listening
+  const watchCurrentFolder = () => {
+    if (stopWatching) stopWatching();
+    stopWatching = null;
+    
+    if (eventClients.size === 0) return;
+    
+    const cwd = getCwd();
+    stopWatching = watchService.watchFolder(cwd, files => {
+      const message = `event: change\ndata: ${JSON.stringify({ cwd, files })}\n\n`;
+      eventClients.forEach(client => client.write(message));
+    });
+  };
+  
   // ============================================
   // PAGE ROUTES
   // ============================================
   
   // Main page
-  app.get('/', (req, res) => {
+  app.get('/', requireSession, (req, res) => {
     const cwd = getCwd();
     const files = envService.scanEnvFiles(cwd);
     const hasKeys = envService.hasKeysFile(cwd);
@@ -77,6 +274,7 @@ function createApp(initialCwd) {
     
     res.render('index', { 
       files, 
+      versions: getFileVersions(files),
       hasKeys,
       cwd,
       folderInfo,
@@ -116,6 +314,7 @@ function createApp(initialCwd) {
       
       // Update cwd
       app.locals.cwd = validation.path;
+      watchCurrentFolder();
       
       // Add to recent
       folderService.addRecentFolder(validation.path);
@@ -130,6 +329,7 @@ function createApp(initialCwd) {
         success: true, 
         cwd,
         files,
+        versions: getFileVersions(files),
         hasKeys,
         folderInfo
       });
@@ -138,6 +338,26 @@ function createApp(initialCwd) {
     }
   });
   
+  // Change settings of the current folder (e.g. scan subdirectories)
+  app.put('/api/folder/settings', (req, res) => {
+    try {
+      const { recursive } = req.body;
+      
+      if (typeof recursive !== 'boolean') {
+        return res.status(400).json({ error: 'recursive must be true or false' });
+      }
+      
+      const cwd = getCwd();
+      const settings = folderService.updateFolderSettings(cwd, { recursive });
+      watchCurrentFolder();
+      
+      const files = envService.scanEnvFiles(cwd);
+      res.json({ success: true, settings, files, versions: getFileVersions(files) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
   // Get saved folders
   app.get('/api/folder/saved', (req, res) => {
     try {
@@ -232,7 +452,126 @@ function createApp(initialCwd) {
       const cwd = getCwd();
       const files = envService.scanEnvFiles(cwd);
       const hasKeys = envService.hasKeysFile(cwd);
-      res.json({ files, hasKeys, cwd });
+      res.json({ files, versions: getFileVersions(files), hasKeys, cwd });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // API: Stream changes to env files and .env.keys made outside envx-ui
+  app.get('/api/events', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    
+    eventClients.add(res);
+    if (eventClients.size === 1) watchCurrentFolder();
+    
+    req.on('close', () => {
+      eventClients.delete(res);
+      if (eventClients.size === 0) watchCurrentFolder();
+    });
+  });
+  
+  // API: Compare all env files (keys x files matrix)
+  app.get('/api/compare', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const includeValues = req.query.values === '1';
+      
+      const matrix = compareService.buildMatrix(cwd, includeValues);
+      
+      // Versions let keys be added from the compare view
+      res.json({ ...matrix, versions: getFileVersions(matrix.files) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // API: Keys out of sync between .env.example and the other env files
+  app.get('/api/example', (req, res) => {
+    try {
+      const cwd = getCwd();
+      
+      res.json(exampleService.detectDrift(cwd));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // API: Generate .env.example from an env file
+  app.post('/api/example/generate', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { source, overwrite } = req.body;
+      
+      const sourceError = getFileError(source);
+      if (sourceError) {
+        return res.status(400).json({ error: sourceError });
+      }
+      
+      const exampleFile = exampleService.getExampleFile(source);
+      if (overwrite !== true && require('fs').existsSync(path.join(cwd, exampleFile))) {
+        return res.status(409).json({ error: `${exampleFile} already exists` });
+      }
+      
+      if (!checkVersions(req, res, [exampleFile])) return;
+      
+      const keys = exampleService.generateExample(cwd, source);
+      auditService.record({ folder: cwd, file: exampleFile, operation: 'generate-example' });
+      
+      res.json({ success: true, keys, file: exampleFile, version: envService.getFileVersion(path.join(cwd, exampleFile)) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Add missing keys to .env.example (values left empty)
+  app.post('/api/example/sync', (req, res) => {
+    try {
+      const cwd = getCwd();
+      
+      if (!checkVersions(req, res, [exampleService.EXAMPLE_FILE])) return;
+      
+      const added = exampleService.syncExample(cwd);
+      if (added.length > 0) {
+        auditService.record({ folder: cwd, file: exampleService.EXAMPLE_FILE, operation: 'sync-example' }, added);
+      }
+      
+      res.json({ success: true, added, version: envService.getFileVersion(path.join(cwd, exampleService.EXAMPLE_FILE)) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // API: Validate all env files against .env.schema.json
+  app.get('/api/validation', (req, res) => {
+    try {
+      const cwd = getCwd();
+      
+      res.json(schemaService.validateAll(cwd));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Diff two env files
+  app.get('/api/diff', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { left, right } = req.query;
+      
+      const fileError = getFileError(left) || getFileError(right);
+      if (fileError) {
+        return res.status(400).json({ error: fileError });
+      }
+      
+      // Versions let keys be copied from the diff view
+      res.json({ ...compareService.diffFiles(cwd, left, right), versions: getFileVersions([left, right]) });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -245,39 +584,36 @@ function createApp(initialCwd) {
       const { filename } = req.params;
       const filepath = path.join(cwd, filename);
       
-      // Security: Only allow .env files
-      if (!filename.startsWith('.env')) {
-        return res.status(400).json({ error: 'Invalid file' });
-      }
-      
-      const parsed = envService.parseEnvFile(filepath);
-      const entries = envService.getEntries(parsed);
-      
-      // Try to decrypt encrypted values
-      const keys = cryptoService.getKeys(cwd);
-      const privateKey = cryptoService.getKeyForFile(filename, keys);
+      const { parsed, entries, hasPrivateKey } = readFileEntries(filename);
       
-      // Attempt to get decrypted values using dotenvx
-      let decryptedValues = null;
-      if (privateKey) {
-        decryptedValues = cryptoService.decryptFile(filename, cwd);
+      // Schema problems shouldn't keep the file from loading
+      let schema = null;
+      let validation = null;
+      try {
+        schema = schemaService.loadSchema(cwd, filename);
+        if (schema) {
+          validation = schemaService.validateFile(filename, cwd, schema);
+        }
+      } catch (err) {
+        validation = { schemaError: err.message, errors: {}, missing: [] };
       }
       
-      // Merge decrypted values with entries
-      const result = entries.map(entry => {
-        const decrypted = decryptedValues && decryptedValues[entry.key];
-        return {
-          key: entry.key,
-          value: entry.value,
-          encrypted: entry.encrypted,
-          decryptedValue: decrypted || (entry.encrypted ? null : entry.value)
-        };
-      });
+      // Secrets readable by other users on this machine
+      const permissionWarnings = [
+        path.basename(filename) !== exampleService.EXAMPLE_FILE ? fileService.getPermissionWarning(filepath) : null,
+        fileService.getPermissionWarning(cryptoService.getKeysPath(cwd, filename))
+      ].filter(Boolean);
       
       res.json({
         filename,
-        entries: result,
-        hasPrivateKey: !!privateKey
+        version: envService.getFileVersion(filepath),
+        entries,
+        format: parsed.format,
+        hasPrivateKey,
+        permissionWarnings,
+        schema,
+        validation,
+        resolved: expandService.resolveFile(filename, cwd)
       });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -299,13 +635,22 @@ function createApp(initialCwd) {
         return res.status(400).json({ error: 'Invalid key format. Use alphanumeric and underscores, starting with letter or underscore.' });
       }
       
+      const schemaError = schemaService.checkValue(cwd, key, value || '', filename);
+      if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+      }
+      
+      if (!checkVersion(req, res, filename)) return;
+      
       const filepath = path.join(cwd, filename);
       const parsed = envService.parseEnvFile(filepath);
       
       envService.addEntry(parsed, key, value || '');
+      historyService.snapshotFile(filepath);
       envService.writeEnvFile(filepath, parsed);
+      auditService.record({ folder: cwd, file: filename, operation: 'add', encrypted: cryptoService.isEncrypted(value) }, [key]);
       
-      res.json({ success: true, key, value: value || '' });
+      res.json({ success: true, key, value: value || '', version: envService.getFileVersion(filepath) });
     } catch (err) {
       res.status(400).json({ error: err.message });
     }
@@ -322,13 +667,22 @@ function createApp(initialCwd) {
         return res.status(400).json({ error: 'Value is required' });
       }
       
+      const schemaError = schemaService.checkValue(cwd, key, value, filename);
+      if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+      }
+      
+      if (!checkVersion(req, res, filename)) return;
+      
       const filepath = path.join(cwd, filename);
       const parsed = envService.parseEnvFile(filepath);
       
       envService.updateEntry(parsed, key, value);
+      historyService.snapshotFile(filepath);
       envService.writeEnvFile(filepath, parsed);
+      auditService.record({ folder: cwd, file: filename, operation: 'update', encrypted: cryptoService.isEncrypted(value) }, [key]);
       
-      res.json({ success: true, key, value });
+      res.json({ success: true, key, value, version: envService.getFileVersion(filepath) });
     } catch (err) {
       res.status(400).json({ error: err.message });
     }
@@ -339,13 +693,56 @@ function createApp(initialCwd) {
     try {
       const cwd = getCwd();
       const { filename, key } = req.params;
+      
+      if (!checkVersion(req, res, filename)) return;
+      
       const filepath = path.join(cwd, filename);
       const parsed = envService.parseEnvFile(filepath);
       
+      const entry = parsed.lines.find(l => l.type === 'entry' && l.key === key);
+      
       envService.deleteEntry(parsed, key);
+      historyService.snapshotFile(filepath);
       envService.writeEnvFile(filepath, parsed);
+      auditService.record({ folder: cwd, file: filename, operation: 'delete', encrypted: !!(entry && entry.encrypted) }, [key]);
+      
+      res.json({ success: true, key, version: envService.getFileVersion(filepath) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Encrypt a single key
+  app.post('/api/files/:filename/keys/:key/encrypt', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename, key } = req.params;
+      const filepath = path.join(cwd, filename);
+      
+      if (!checkVersion(req, res, filename)) return;
+      
+      const value = cryptoService.encryptKey(filepath, cwd, key);
+      auditService.record({ folder: cwd, file: filename, operation: 'encrypt', encrypted: true }, [key]);
+      
+      res.json({ success: true, key, value, version: envService.getFileVersion(filepath) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Decrypt a single key
+  app.post('/api/files/:filename/keys/:key/decrypt', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename, key } = req.params;
+      const filepath = path.join(cwd, filename);
+      
+      if (!checkVersion(req, res, filename)) return;
+      
+      const value = cryptoService.decryptKey(filepath, cwd, key);
+      auditService.record({ folder: cwd, file: filename, operation: 'decrypt', encrypted: false }, [key]);
       
-      res.json({ success: true, key });
+      res.json({ success: true, key, value, version: envService.getFileVersion(filepath) });
     } catch (err) {
       res.status(400).json({ error: err.message });
     }
@@ -358,9 +755,240 @@ function createApp(initialCwd) {
       const { filename } = req.params;
       const filepath = path.join(cwd, filename);
       
+      if (!checkVersion(req, res, filename)) return;
+      
       cryptoService.encryptFile(filepath, cwd);
+      auditService.record({ folder: cwd, file: filename, operation: 'encrypt-file', encrypted: true });
       
-      res.json({ success: true, message: 'File encrypted successfully' });
+      res.json({ success: true, message: 'File encrypted successfully', version: envService.getFileVersion(filepath) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // API: Copy keys to another env file (re-encrypted for the target)
+  app.post('/api/files/:filename/copy', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      const { target, keys, overwrite } = req.body;
+      
+      const targetError = getFileError(target);
+      if (targetError) {
+        return res.status(400).json({ error: targetError });
+      }
+      
+      if (!Array.isArray(keys) || keys.length === 0) {
+        return res.status(400).json({ error: 'Keys are required' });
+      }
+      
+      // The version sent as If-Match is the target's, the file being written
+      if (!checkVersion(req, res, target)) return;
+      
+      // Let the user choose between overwrite and skip first
+      if (typeof overwrite !== 'boolean') {
+        const targetParsed = envService.parseEnvFile(path.join(cwd, target));
+        const existing = new Set(envService.getEntries(targetParsed).map(e => e.key));
+        const conflicts = keys.filter(key => existing.has(key));
+        
+        if (conflicts.length > 0) {
+          return res.status(409).json({ error: 'Keys already exist in target', conflicts });
+        }
+      }
+      
+      const result = cryptoService.copyKeys(cwd, filename, target, keys, overwrite === true);
+      if (result.copied.length > 0) {
+        auditService.record({ folder: cwd, file: target, operation: 'copy', encrypted: result.encrypted }, result.copied);
+      }
+      
+      res.json({ success: true, ...result, version: envService.getFileVersion(path.join(cwd, target)) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Preview a bulk import against a file
+  app.post('/api/files/:filename/import/preview', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      const { content, format } = req.body;
+      
+      const parsed = formatService.parseImport(content, format);
+      const entries = formatService.previewImport(filename, cwd, parsed.entries);
+      const fileParsed = envService.parseEnvFile(path.join(cwd, filename));
+      
+      res.json({
+        format: parsed.format,
+        entries,
+        encrypted: cryptoService.isEncryptedFile(fileParsed, filename, cwd)
+      });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Import keys from pasted dotenv, JSON or YAML
+  app.post('/api/files/:filename/import', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      const { content, format, overwrite, encrypt } = req.body;
+      
+      const parsed = formatService.parseImport(content, format);
+      
+      if (!checkVersion(req, res, filename)) return;
+      
+      const result = formatService.applyImport(filename, cwd, parsed.entries, {
+        overwrite: overwrite === true,
+        encrypt: encrypt === true
+      });
+      
+      const changed = [...result.added, ...result.updated];
+      if (changed.length > 0) {
+        auditService.record({ folder: cwd, file: filename, operation: 'import', encrypted: result.encrypted }, changed);
+      }
+      
+      res.json({ success: true, ...result, version: envService.getFileVersion(path.join(cwd, filename)) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Resolve ${VAR} references, running $(command) substitutions
+  app.post('/api/files/:filename/resolve', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      
+      const resolved = expandService.resolveFile(filename, cwd, { runCommands: true });
+      
+      res.json({ resolved });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // API: List snapshots of a file
+  app.get('/api/files/:filename/history', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      
+      res.json({ snapshots: historyService.listSnapshots(path.join(cwd, filename)) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+  
+  // Helper to check if a snapshot holds ciphertext from before a key rotation,
+  // which the file's current private key can't decrypt
+  const isRotatedSnapshot = (filename, id) => {
+    const cwd = getCwd();
+    const { publicKeyName } = cryptoService.getKeyNames(filename, cwd);
+    const snapshot = historyService.getSnapshotPublicKey(path.join(cwd, filename), id, publicKeyName);
+    const publicKey = cryptoService.getPublicKeyForFile(filename, cwd);
+    
+    return snapshot.encrypted && !!snapshot.publicKey && !!publicKey && snapshot.publicKey !== publicKey;
+  };
+  
+  // API: Diff a snapshot against the current file
+  app.get('/api/files/:filename/history/:id', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename, id } = req.params;
+      
+      const diff = historyService.diffSnapshot(path.join(cwd, filename), id);
+      res.json({ ...diff, rotated: isRotatedSnapshot(filename, id) });
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  });
+  
+  // API: Restore a snapshot
+  app.post('/api/files/:filename/history/:id/restore', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename, id } = req.params;
+      
+      if (!checkVersion(req, res, filename)) return;
+      
+      if (isRotatedSnapshot(filename, id)) {
+        return res.status(409).json({ error: `Snapshot was encrypted with a key that has since been rotated, so the current key can't decrypt it` });
+      }
+      
+      const filepath = path.join(cwd, filename);
+      historyService.restoreSnapshot(filepath, id);
+      auditService.record({ folder: cwd, file: filename, operation: 'restore' });
+      
+      res.json({ success: true, message: 'Snapshot restored', version: envService.getFileVersion(filepath) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Export file as JSON, YAML, shell, Docker env file or Kubernetes Secret
+  app.get('/api/files/:filename/export', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      const format = req.query.format || 'json';
+      // Plaintext secrets only when asked for explicitly
+      const decrypt = req.query.decrypt === '1';
+      
+      const result = formatService.exportFile(filename, cwd, format, decrypt);
+      
+      res.attachment(result.filename);
+      res.type('text/plain');
+      res.set('Cache-Control', 'no-store');
+      res.send(result.content);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Decrypt file back to plain text
+  app.post('/api/files/:filename/decrypt', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      const filepath = path.join(cwd, filename);
+      
+      if (!checkVersion(req, res, filename)) return;
+      
+      const keys = cryptoService.decryptFileToPlaintext(filepath, cwd);
+      auditService.record({ folder: cwd, file: filename, operation: 'decrypt-file', encrypted: false });
+      
+      res.json({ success: true, keys, message: 'File decrypted successfully', version: envService.getFileVersion(filepath) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Rotate file keypair and re-encrypt values
+  app.post('/api/files/:filename/rotate', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { filename } = req.params;
+      const filepath = path.join(cwd, filename);
+      
+      if (!checkVersion(req, res, filename)) return;
+      
+      const keys = cryptoService.rotateKey(filepath, cwd);
+      auditService.record({ folder: cwd, file: filename, operation: 'rotate-key', encrypted: true });
+      
+      res.json({ success: true, keys, message: 'Key rotated successfully', version: envService.getFileVersion(filepath) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
+  // API: Audit log of changes across folders
+  app.get('/api/audit', (req, res) => {
+    try {
+      const { folder, file, key } = req.query;
+      
+      res.json(auditService.readLog({ folder, file, key }));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -375,6 +1003,7 @@ function createApp(initialCwd) {
       
       res.json({
         hasKeysFile: envService.hasKeysFile(cwd),
+        keysFileIgnored: envService.isKeysFileIgnored(cwd),
         environments: Object.keys(privateKeys),
         publicKeyEnvironments: Object.keys(publicKeys)
       });
@@ -383,14 +1012,39 @@ function createApp(initialCwd) {
     }
   });
   
+  // API: Set up encryption for a folder without .env.keys
+  app.post('/api/keys/init', (req, res) => {
+    try {
+      const cwd = getCwd();
+      const { files, gitignore } = req.body;
+      
+      if (!Array.isArray(files) || files.some(f => getFileError(f))) {
+        return res.status(400).json({ error: 'Invalid files' });
+      }
+      
+      if (!checkVersions(req, res, files)) return;
+      
+      const initialized = cryptoService.initEncryption(cwd, files);
+      const gitignored = gitignore ? envService.addKeysFileToGitignore(cwd) : false;
+      initialized.forEach(item => {
+        auditService.record({ folder: cwd, file: item.filename, operation: 'init-encryption', encrypted: true });
+      });
+      
+      res.json({ success: true, files: initialized, gitignored, versions: getFileVersions(files) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+  
   // API: Create new env file
   app.post('/api/files', (req, res) => {
     try {
       const cwd = getCwd();
       const { filename } = req.body;
       
-      if (!filename || !filename.startsWith('.env')) {
-        return res.status(400).json({ error: 'Invalid filename' });
+      const fileError = getFileError(filename);
+      if (fileError) {
+        return res.status(400).json({ error: fileError });
       }
       
       const filepath = path.join(cwd, filename);
@@ -399,7 +1053,8 @@ function createApp(initialCwd) {
         return res.status(400).json({ error: 'File already exists' });
       }
       
-      require('fs').writeFileSync(filepath, '# Environment variables\n', 'utf8');
+      fileService.writeFileAtomic(filepath, '# Environment variables\n');
+      auditService.record({ folder: cwd, file: filename, operation: 'create-file' });
       
       res.json({ success: true, filename });
     } catch (err) {
@@ -414,17 +1069,19 @@ function createApp(initialCwd) {
  * Start the Express server
  * @param {number} port - Port to listen on
  * @param {string} cwd - Current working directory
- * @param {function} callback - Callback when server starts
+ * @param {function} callback - Called with (port, token) when the server starts;
+ *   the token goes in the URL opened in the browser
  * @returns {http.Server}
  */
 function startServer(port, cwd, callback) {
-  const app = createApp(cwd);
+  const token = authService.generateToken();
+  const app = createApp(cwd, { token });
   
   // Listen only on localhost (127.0.0.1) for security
   // Port 0 = OS assigns random available port
   const server = app.listen(port, '127.0.0.1', () => {
     const actualPort = server.address().port;
-    if (callback) callback(actualPort);
+    if (callback) callback(actualPort, token);
   });
   
   return server;
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const envService = require('./env.service');
+const cryptoService = require('./crypto.service');
+const { EXAMPLE_FILE } = require('./example.service');
+
+// Per-folder schema declaring the type and status of each key
+const SCHEMA_FILE = '.env.schema.json';
+
+const TYPES = ['string', 'int', 'bool', 'url', 'enum', 'regex'];
+const BOOL_VALUES = ['true', 'false', '1', '0', 'yes', 'no', 'on', 'off'];
+
+/**
+ * Load and check the folder's schema
+ * Schema format: { "KEY": { "type", "required", "description", "values", "pattern" } }
+ * Files in subdirectories use the schema in their own directory.
+ * @param {string} cwd - Current working directory
+ * @param {string} filename - Env file the schema is for (default: the folder's own)
+ * @returns {object|null} - Rules by key, or null if the folder has no schema
+ */
+function loadSchema(cwd, filename = '') {
+  const schemaPath = path.join(cwd, path.dirname(filename), SCHEMA_FILE);
+
+  if (!fs.existsSync(schemaPath)) {
+    return null;
+  }
+
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${SCHEMA_FILE}: ${err.message}`);
+  }
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Invalid ${SCHEMA_FILE}: expected an object of keys to rules`);
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Invalid ${SCHEMA_FILE}: rule for ${key} must be an object`);
+    }
+
+    const type = rule.type || 'string';
+
+    if (!TYPES.includes(type)) {
+      throw new Error(`Invalid ${SCHEMA_FILE}: unknown type "${type}" for ${key}`);
+    }
+    if (type === 'enum' && !Array.isArray(rule.values)) {
+      throw new Error(`Invalid ${SCHEMA_FILE}: ${key} needs a "values" array`);
+    }
+    if (type === 'regex') {
+      try {
+        new RegExp(rule.pattern);
+      } catch (err) {
+        throw new Error(`Invalid ${SCHEMA_FILE}: bad pattern for ${key}: ${err.message}`);
+      }
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Load a schema without throwing, so a broken schema can be reported
+ * instead of failing the request
+ * @param {string} cwd - Current working directory
+ * @param {string} filename - Env file the schema is for (default: the folder's own)
+ * @returns {object} - { schema, error } with the error message if the schema is invalid
+ */
+function readSchema(cwd, filename = '') {
+  try {
+    return { schema: loadSchema(cwd, filename), error: null };
+  } catch (err) {
+    return { schema: null, error: err.message };
+  }
+}
+
+/**
+ * Check a value against a key's rule
+ * @param {object} rule - Rule from the schema
+ * @param {string} value - Plain text value
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateValue(rule, value) {
+  if (value === '') {
+    return rule.required ? 'Required' : null;
+  }
+
+  switch (rule.type || 'string') {
+    case 'int':
+      return /^-?\d+$/.test(value) ? null : 'Must be an integer';
+
+    case 'bool':
+      return BOOL_VALUES.includes(value.toLowerCase()) ? null : 'Must be a boolean (true/false)';
+
+    case 'url':
+      try {
+        new URL(value);
+        return null;
+      } catch (err) {
+        return 'Must be a URL';
+      }
+
+    case 'enum':
+      return rule.values.map(String).includes(value)
+        ? null
+        : `Must be one of: ${rule.values.join(', ')}`;
+
+    case 'regex':
+      return new RegExp(rule.pattern).test(value) ? null : `Must match ${rule.pattern}`;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate one env file against a schema
+ * Encrypted values are checked decrypted; ones that can't be decrypted are skipped.
+ * .env.example holds no real values, so only its keys are checked.
+ * @param {string} filename - Env file name
+ * @param {string} cwd - Current working directory
+ * @param {object} schema - Schema from loadSchema
+ * @returns {object} - { errors: { key: message }, missing: [keys] }
+ */
+function validateFile(filename, cwd, schema) {
+  const parsed = envService.parseEnvFile(path.join(cwd, filename));
+  const entries = envService.getEntries(parsed);
+  const decryptedValues = cryptoService.decryptFile(filename, cwd) || {};
+  const result = { errors: {}, missing: [] };
+  const present = new Set();
+
+  for (const entry of entries) {
+    present.add(entry.key);
+
+    const rule = schema[entry.key];
+    if (!rule || path.basename(filename) === EXAMPLE_FILE) continue;
+
+    const value = entry.key in decryptedValues ? decryptedValues[entry.key] : entry.value;
+    if (cryptoService.isEncrypted(value)) continue;
+
+    const error = validateValue(rule, value);
+    if (error) {
+      result.errors[entry.key] = error;
+    }
+  }
+
+  result.missing = Object.keys(schema).filter(key => schema[key].required && !present.has(key));
+
+  return result;
+}
+
+/**
+ * Validate every env file in a folder
+ * Files without a schema in their directory are left out; files whose
+ * schema is invalid get the error as `schemaError` and aren't checked.
+ * @param {string} cwd - Current working directory
+ * @returns {object} - { schema, files: { filename: { errors, missing, schemaError } } } with the folder's own schema
+ */
+function validateAll(cwd) {
+  const schemas = new Map();
+  const files = {};
+
+  for (const file of envService.scanEnvFiles(cwd)) {
+    const dir = path.dirname(file);
+    if (!schemas.has(dir)) {
+      schemas.set(dir, readSchema(cwd, file));
+    }
+
+    const { schema, error } = schemas.get(dir);
+    if (error) {
+      files[file] = { schemaError: error, errors: {}, missing: [] };
+    } else if (schema) {
+      files[file] = validateFile(file, cwd, schema);
+    }
+  }
+
+  return { schema: readSchema(cwd).schema, files };
+}
+
+/**
+ * Check a value about to be written for a key
+ * Encrypted values can't be checked and are let through. So is everything
+ * while the schema is invalid: the validation panel reports it, and it
+ * mustn't keep the user from saving.
+ * @param {string} cwd - Current working directory
+ * @param {string} key - Key name
+ * @param {string} value - New value
+ * @param {string} filename - Env file being written (picks the schema of its directory)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function checkValue(cwd, key, value, filename = '') {
+  const { schema } = readSchema(cwd, filename);
+  if (!schema || !schema[key] || cryptoService.isEncrypted(value)) {
+    return null;
+  }
+
+  const error = validateValue(schema[key], value);
+  return error ? `${key}: ${error}` : null;
+}
+
+module.exports = {
+  SCHEMA_FILE,
+  loadSchema,
+  validateValue,
+  validateFile,
+  validateAll,
+  checkValue
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const envService = require('./env.service');
+const folderService = require('./folder.service');
+
+// Editors and dotenvx often write a file in several steps (temp file, rename),
+// so changes are collected briefly and reported together
+const DEBOUNCE_MS = 150;
+
+/**
+ * Check if a change to a file should be reported
+ * Changes to .envx-ui.json are reported too, as they change which files
+ * are env files.
+ * @param {string} file - File path relative to the watched folder, "/" separated
+ * @param {object} settings - Folder settings
+ * @returns {boolean}
+ */
+function isWatchedFile(file, settings) {
+  const name = path.posix.basename(file);
+
+  return name === '.env.keys' || file === folderService.PROJECT_FILE || envService.isEnvFile(file, settings);
+}
+
+/**
+ * Check if a path is a directory (not following symlinks, like the scan)
+ * @param {string} filepath - Absolute path
+ * @returns {boolean}
+ */
+function isDirectory(filepath) {
+  const stats = fs.lstatSync(filepath, { throwIfNoEntry: false });
+  return !!stats && stats.isDirectory();
+}
+
+/**
+ * Watch a folder's env files and .env.keys for changes on disk
+ * Only the directories scanned for env files are watched, each on its own,
+ * so node_modules, .git and ignored directories take no inotify watches and
+ * no recursive watch support is needed. When a directory is added or
+ * removed, or .envx-ui.json changes, the folder is scanned again; if that
+ * changes the watched directories the list is empty, as it is on platforms
+ * that don't report which file changed, meaning anything may have changed.
+ * @param {string} cwd - Folder to watch
+ * @param {function} onChange - Called with the changed file paths, relative to cwd
+ * @returns {function} - Stops watching
+ */
+function watchFolder(cwd, onChange) {
+  const watchers = new Map();
+  const changed = new Set();
+  let settings = folderService.getFolderSettings(cwd);
+  let unknown = false;
+  let rescan = false;
+  let timer = null;
+
+  const unwatch = (dir) => {
+    watchers.get(dir).close();
+    watchers.delete(dir);
+  };
+
+  // Watch the directories scanned now; returns whether they changed
+  const update = () => {
+    settings = folderService.getFolderSettings(cwd);
+    const dirs = new Set(envService.scanEnvDirs(cwd));
+    let updated = false;
+
+    for (const dir of [...watchers.keys()]) {
+      if (!dirs.has(dir)) {
+        unwatch(dir);
+        updated = true;
+      }
+    }
+
+    for (const dir of dirs) {
+      if (!watchers.has(dir)) {
+        watchDir(dir);
+        updated = true;
+      }
+    }
+
+    return updated;
+  };
+
+  const flush = () => {
+    const dirsChanged = rescan && update();
+    const files = unknown || dirsChanged ? [] : [...changed].sort();
+    const report = unknown || dirsChanged || changed.size > 0;
+
+    changed.clear();
+    unknown = false;
+    rescan = false;
+
+    if (report) onChange(files);
+  };
+
+  const handleEvent = (dir, name) => {
+    const file = name && (dir ? `${dir}/${name}` : name);
+
+    if (!file) {
+      unknown = true;
+      rescan = true;
+    } else if (isWatchedFile(file, settings)) {
+      changed.add(file);
+      if (file === folderService.PROJECT_FILE) rescan = true;
+    } else if (watchers.has(file) || isDirectory(path.join(cwd, file))) {
+      rescan = true;
+    } else {
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(flush, DEBOUNCE_MS);
+  };
+
+  const watchDir = (dir) => {
+    try {
+      const watcher = fs.watch(path.join(cwd, dir), (eventType, name) => handleEvent(dir, name));
+      watcher.on('error', err => {
+        console.error('Error watching folder:', err.message);
+        if (watchers.get(dir) === watcher) unwatch(dir);
+      });
+      watchers.set(dir, watcher);
+    } catch (err) {
+      console.error('Error watching folder:', err.message);
+    }
+  };
+
+  update();
+
+  return () => {
+    clearTimeout(timer);
+    for (const dir of [...watchers.keys()]) {
+      unwatch(dir);
+    }
+  };
+}
+
+module.exports = {
+  watchFolder
+};
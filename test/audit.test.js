@@ -0,0 +1,48 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder, startServer } = require('./helpers');
+const envService = require('../server/env.service');
+const folderService = require('../server/folder.service');
+
+const cwd = makeFolder({ '.env': 'A=1\n' });
+const auditFile = path.join(folderService.CONFIG_DIR, 'audit.log');
+
+const ifMatch = () => ({ 'If-Match': `"${envService.getFileVersion(path.join(cwd, '.env'))}"` });
+
+describe('audit log', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(cwd);
+
+    await server.request('POST', '/api/files/.env/keys', { key: 'TOKEN', value: 'added-secret-value' }, ifMatch());
+    await server.request('PUT', '/api/files/.env/keys/TOKEN', { value: 'updated-secret-value' }, ifMatch());
+    await server.request('DELETE', '/api/files/.env/keys/TOKEN', undefined, ifMatch());
+  });
+
+  after(() => server.close());
+
+  test('records which key changed and how', async () => {
+    const res = await server.request('GET', '/api/audit?file=.env');
+
+    assert.deepEqual(res.body.records.map(r => [r.key, r.operation]), [
+      ['TOKEN', 'delete'],
+      ['TOKEN', 'update'],
+      ['TOKEN', 'add']
+    ]);
+    assert.equal(res.body.records[0].folder, cwd);
+  });
+
+  test('never writes values', () => {
+    const content = fs.readFileSync(auditFile, 'utf8');
+
+    assert.equal(content.split('\n').filter(Boolean).length, 3);
+    assert.doesNotMatch(content, /secret-value/);
+  });
+
+  test('is only readable by its owner', () => {
+    assert.equal(fs.statSync(auditFile).mode & 0o777, 0o600);
+  });
+});
@@ -0,0 +1,96 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { makeFolder, startServer } = require('./helpers');
+
+const cwd = makeFolder({ '.env': 'SECRET=value\n' });
+
+/**
+ * Send a GET with exactly the given headers (fetch won't let Host be set)
+ * @param {number} port - Server port
+ * @param {string} url - Path
+ * @param {object} headers - Request headers
+ * @returns {Promise<object>} - { status, headers }
+ */
+function rawGet(port, url, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: url, headers }, res => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers }));
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('launch token and session', () => {
+  let server;
+  let cookie;
+
+  before(async () => {
+    server = await startServer(cwd, { login: false });
+  });
+
+  after(() => server.close());
+
+  test('API requires a session', async () => {
+    const res = await server.request('GET', '/api/files');
+    assert.equal(res.status, 401);
+  });
+
+  test('page requires a session', async () => {
+    const res = await server.request('GET', '/');
+    assert.equal(res.status, 401);
+  });
+
+  test('a wrong token is refused', async () => {
+    const res = await rawGet(server.port, '/?token=wrong', { Host: `127.0.0.1:${server.port}` });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers['set-cookie'], undefined);
+  });
+
+  test('the launch token is traded for a session cookie', async () => {
+    const res = await rawGet(server.port, '/?token=test', { Host: `127.0.0.1:${server.port}` });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.location, '/');
+    assert.match(res.headers['set-cookie'][0], /HttpOnly/);
+    assert.match(res.headers['set-cookie'][0], /SameSite=Strict/);
+
+    cookie = res.headers['set-cookie'][0].split(';')[0];
+    const api = await server.request('GET', '/api/files', undefined, { Cookie: cookie });
+    assert.equal(api.status, 200);
+  });
+
+  test('the launch token works only once', async () => {
+    const res = await rawGet(server.port, '/?token=test', { Host: `127.0.0.1:${server.port}` });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers['set-cookie'], undefined);
+  });
+
+  test('a malformed cookie counts as no session', async () => {
+    const res = await server.request('GET', '/api/files', undefined, { Cookie: `envx_ui_${server.port}=%E0` });
+    assert.equal(res.status, 401);
+  });
+
+  test('a foreign Host is refused', async () => {
+    const res = await rawGet(server.port, '/api/files', { Host: `evil.example:${server.port}`, Cookie: cookie });
+    assert.equal(res.status, 403);
+  });
+
+  test('a foreign Origin is refused', async () => {
+    const res = await rawGet(server.port, '/api/files', {
+      Host: `127.0.0.1:${server.port}`,
+      Origin: 'http://evil.example',
+      Cookie: cookie
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test('the page itself as Origin is allowed', async () => {
+    const res = await rawGet(server.port, '/api/files', {
+      Host: `localhost:${server.port}`,
+      Origin: `http://localhost:${server.port}`,
+      Cookie: cookie
+    });
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,178 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const dotenvx = require('@dotenvx/dotenvx');
+const { makeFolder, startServer } = require('./helpers');
+const cryptoService = require('../server/crypto.service');
+const envService = require('../server/env.service');
+const fileService = require('../server/file.service');
+const historyService = require('../server/history.service');
+
+function makeEncryptedFolder() {
+  const cwd = makeFolder({ '.env': 'API_KEY=secret-value\n' });
+  cryptoService.initEncryption(cwd, ['.env']);
+  cryptoService.encryptFile(path.join(cwd, '.env'), cwd);
+  return cwd;
+}
+
+const read = (cwd, file) => fs.readFileSync(path.join(cwd, file), 'utf8');
+const ifMatch = (cwd) => ({ 'If-Match': `"${envService.getFileVersion(path.join(cwd, '.env'))}"` });
+
+describe('rotating a key', () => {
+  let server;
+  let cwd;
+
+  before(async () => {
+    cwd = makeEncryptedFolder();
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  test('re-encrypts values with a new keypair', async () => {
+    const oldEnv = read(cwd, '.env');
+    const oldKeys = read(cwd, '.env.keys');
+
+    const res = await server.request('POST', '/api/files/.env/rotate', {}, ifMatch(cwd));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.keys, ['API_KEY']);
+
+    assert.notEqual(read(cwd, '.env'), oldEnv);
+    assert.notEqual(read(cwd, '.env.keys'), oldKeys);
+
+    const file = await server.request('GET', '/api/files/.env');
+    const entry = file.body.entries.find(e => e.key === 'API_KEY');
+    assert.equal(entry.decryptedValue, 'secret-value');
+  });
+
+  test('snapshots the old .env.keys', () => {
+    const keysPath = path.join(cwd, '.env.keys');
+    const [snapshot] = historyService.listSnapshots(keysPath);
+    assert.ok(snapshot);
+
+    const diff = historyService.diffSnapshot(keysPath, snapshot.id);
+    assert.deepEqual(diff.changed.map(item => item.key), ['DOTENV_PRIVATE_KEY']);
+  });
+});
+
+describe('rotating a key that cannot be used', () => {
+  let server;
+  let cwd;
+
+  before(async () => {
+    cwd = makeEncryptedFolder();
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  test('returns 400 without a private key', async () => {
+    fs.rmSync(path.join(cwd, '.env.keys'));
+    const before = read(cwd, '.env');
+
+    const res = await server.request('POST', '/api/files/.env/rotate', {}, ifMatch(cwd));
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /No private key found/);
+    assert.equal(read(cwd, '.env'), before);
+  });
+});
+
+describe('rotating a key when .env.keys cannot be written', () => {
+  const writeFileAtomic = fileService.writeFileAtomic;
+  let server;
+  let cwd;
+
+  before(async () => {
+    cwd = makeEncryptedFolder();
+    server = await startServer(cwd);
+
+    fileService.writeFileAtomic = (filepath, content) => {
+      if (path.basename(filepath) === '.env.keys') {
+        throw new Error('EACCES: permission denied');
+      }
+      return writeFileAtomic(filepath, content);
+    };
+  });
+
+  after(() => {
+    fileService.writeFileAtomic = writeFileAtomic;
+    server.close();
+  });
+
+  test('puts the env file back', async () => {
+    const oldEnv = read(cwd, '.env');
+    const oldKeys = read(cwd, '.env.keys');
+
+    const res = await server.request('POST', '/api/files/.env/rotate', {}, ifMatch(cwd));
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /^Key rotation failed: EACCES/);
+
+    assert.equal(read(cwd, '.env'), oldEnv);
+    assert.equal(read(cwd, '.env.keys'), oldKeys);
+
+    const file = await server.request('GET', '/api/files/.env');
+    const entry = file.body.entries.find(e => e.key === 'API_KEY');
+    assert.equal(entry.decryptedValue, 'secret-value');
+  });
+});
+
+describe('decrypting a file', () => {
+  let server;
+  let cwd;
+
+  before(async () => {
+    cwd = makeEncryptedFolder();
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  test('returns 400 without a private key', async () => {
+    const keys = read(cwd, '.env.keys');
+    fs.rmSync(path.join(cwd, '.env.keys'));
+    const before = read(cwd, '.env');
+
+    const res = await server.request('POST', '/api/files/.env/decrypt', {}, ifMatch(cwd));
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /No private key found/);
+    assert.equal(read(cwd, '.env'), before);
+
+    fs.writeFileSync(path.join(cwd, '.env.keys'), keys);
+  });
+
+  test('writes the values in plain text', async () => {
+    const res = await server.request('POST', '/api/files/.env/decrypt', {}, ifMatch(cwd));
+    assert.equal(res.status, 200);
+    assert.match(read(cwd, '.env'), /^API_KEY=secret-value$/m);
+  });
+});
+
+describe('compatibility with dotenvx', () => {
+  const value = 'multi\nline "quoted" $value';
+  let cwd;
+  let privateKey;
+
+  before(() => {
+    cwd = makeEncryptedFolder();
+    privateKey = cryptoService.getKeyForFile('.env', cryptoService.getKeys(cwd, '.env'), cwd);
+    dotenvx.setLogLevel({ logLevel: 'error' });
+  });
+
+  test('dotenvx decrypts what envx-ui encrypts', () => {
+    const parsed = dotenvx.parse(read(cwd, '.env'), { privateKey, processEnv: {} });
+    assert.equal(parsed.API_KEY, 'secret-value');
+
+    const encrypted = cryptoService.encrypt(value, cryptoService.derivePublicKey(privateKey));
+    assert.deepEqual(dotenvx.parse(`B='${encrypted}'`, { privateKey, processEnv: {} }), { B: value });
+  });
+
+  test('envx-ui decrypts what dotenvx encrypts', () => {
+    dotenvx.set('B', value, { path: [path.join(cwd, '.env')], envKeysFile: path.join(cwd, '.env.keys') });
+    assert.match(read(cwd, '.env'), /^B="encrypted:/m);
+
+    const decrypted = cryptoService.decryptFile('.env', cwd);
+    assert.equal(decrypted.API_KEY, 'secret-value');
+    assert.equal(decrypted.B, value);
+  });
+});
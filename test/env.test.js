@@ -0,0 +1,82 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const dotenvx = require('@dotenvx/dotenvx');
+const { makeFolder } = require('./helpers');
+const envService = require('../server/env.service');
+
+/**
+ * Set a key in env content and read the result back the way dotenvx does
+ * @param {string} content - Original file content
+ * @param {string} key - Key to change
+ * @param {string} value - New value
+ * @returns {object} - { content, parsed } with dotenvx's view of the new content
+ */
+function roundTrip(content, key, value) {
+  const parsed = { format: { bom: false, eol: '\n', finalNewline: true }, lines: envService.parseEnvContent(content) };
+  envService.updateEntry(parsed, key, value);
+
+  const written = envService.serializeEnvFile(parsed);
+  return { content: written, parsed: dotenvx.parse(written, { processEnv: {} }) };
+}
+
+describe('writing values dotenvx reads back unchanged', () => {
+  test('multiline value with a literal backslash-n', () => {
+    const value = 'a\nb\\n';
+    const result = roundTrip('MULTI="a\nb"', 'MULTI', value);
+
+    assert.equal(result.parsed.MULTI, value);
+    assert.doesNotMatch(result.content, /^MULTI="/m);
+  });
+
+  test('multiline value keeps double quotes when it can', () => {
+    const value = 'first\nsecond';
+    const result = roundTrip('MULTI="a\nb"', 'MULTI', value);
+
+    assert.equal(result.parsed.MULTI, value);
+    assert.match(result.content, /^MULTI="first\nsecond"$/m);
+  });
+
+  test('single line value with a literal backslash-n', () => {
+    const result = roundTrip('DIR="old"', 'DIR', 'C:\\new');
+
+    assert.equal(result.parsed.DIR, 'C:\\new');
+  });
+});
+
+describe('line endings', () => {
+  /**
+   * Write content to a file, change it through parse and serialize, read it back
+   * @param {string} content - Original file content
+   * @param {function} change - Called with the parsed file
+   * @returns {string} - New content
+   */
+  function rewrite(content, change = () => {}) {
+    const filepath = path.join(makeFolder({ '.env': content }), '.env');
+    const parsed = envService.parseEnvFile(filepath);
+    change(parsed);
+    return envService.serializeEnvFile(parsed);
+  }
+
+  test('mixed line endings are written back unchanged', () => {
+    assert.equal(rewrite('A=1\r\nB=2\nC=3\r\n'), 'A=1\r\nB=2\nC=3\r\n');
+  });
+
+  test('multiline values keep their own line endings', () => {
+    assert.equal(rewrite('M="a\nb\r\nc"\r\nB=2'), 'M="a\nb\r\nc"\r\nB=2');
+  });
+
+  test('edited and new lines get the usual line ending', () => {
+    const content = rewrite('A=1\r\nB=2\nC=3\r\n', parsed => {
+      envService.updateEntry(parsed, 'B', 'changed');
+      envService.addEntry(parsed, 'D', '4');
+    });
+
+    assert.equal(content, 'A=1\r\nB=changed\r\nC=3\r\nD=4\r\n');
+  });
+
+  test('deleting the last line keeps the final newline', () => {
+    const content = rewrite('A=1\nB=2\r\n', parsed => envService.deleteEntry(parsed, 'B'));
+    assert.equal(content, 'A=1\n');
+  });
+});
@@ -0,0 +1,45 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const dotenvx = require('@dotenvx/dotenvx');
+const { makeFolder } = require('./helpers');
+const expandService = require('../server/expand.service');
+
+/**
+ * Resolve env content with envx-ui and with dotenvx
+ * @param {string} content - Env file content
+ * @returns {object} - { ours, theirs } with the values of keys envx-ui resolved
+ */
+function resolveBoth(content) {
+  const cwd = makeFolder({ '.env': content });
+  const resolved = expandService.resolveFile('.env', cwd, { runCommands: true });
+  const parsed = dotenvx.parse(content, { processEnv: {} });
+
+  const ours = {};
+  const theirs = {};
+  for (const [key, info] of Object.entries(resolved)) {
+    ours[key] = info.resolved;
+    theirs[key] = parsed[key];
+  }
+
+  return { ours, theirs };
+}
+
+describe('expansion matches dotenvx', () => {
+  const cases = {
+    'nested references': 'HOST=localhost\nPORT=5432\nURL="postgres://${HOST}:${PORT}"\nFULL="${URL}/db?u=$USER_NAME"\nUSER_NAME=later\n',
+    'defaults': 'SET=value\nEMPTY=\nA=${SET:-fallback}\nB=${EMPTY:-fallback}\nC=${MISSING:-fallback}\nD=${MISSING-dash}\nE=${SET:+alt}\nF=${MISSING:+alt}\n',
+    'default referencing another key': 'BASE=/srv\nDIR=${MISSING:-${BASE}/app}\n',
+    'escaped dollar signs': 'NAME=world\nA="\\$NAME stays"\nB="price \\${NAME} and $NAME"\n',
+    'single-quoted literals stop expansion': "NAME=world\nLIT='${NAME}'\nUSE=\"${LIT}!\"\n",
+    'commands': 'GREETING=$(echo hello)\nNAME=world\nBOTH="$(echo hi there)"\n'
+  };
+
+  for (const [label, content] of Object.entries(cases)) {
+    test(label, () => {
+      const { ours, theirs } = resolveBoth(content);
+
+      assert.ok(Object.keys(ours).length > 0);
+      assert.deepEqual(ours, theirs);
+    });
+  }
+});
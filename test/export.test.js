@@ -0,0 +1,63 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder, startServer } = require('./helpers');
+const cryptoService = require('../server/crypto.service');
+
+const cwd = makeFolder({ '.env': 'API_KEY=secret-value\n' });
+cryptoService.initEncryption(cwd, ['.env']);
+cryptoService.encryptFile(path.join(cwd, '.env'), cwd);
+
+describe('export', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  test('keeps values encrypted by default', async () => {
+    const res = await server.request('GET', '/api/files/.env/export?format=json');
+    assert.equal(res.status, 200);
+    assert.match(res.body.API_KEY, /^encrypted:/);
+    assert.ok(res.body.DOTENV_PUBLIC_KEY);
+  });
+
+  test('decrypts values when asked to', async () => {
+    const res = await server.request('GET', '/api/files/.env/export?format=json&decrypt=1');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { API_KEY: 'secret-value' });
+  });
+});
+
+describe('decrypted export without a private key', () => {
+  const plainCwd = makeFolder({ '.env': 'A=1\n' });
+  const lockedCwd = makeFolder({ '.env': 'API_KEY=secret-value\n' });
+  cryptoService.initEncryption(lockedCwd, ['.env']);
+  cryptoService.encryptFile(path.join(lockedCwd, '.env'), lockedCwd);
+  fs.rmSync(path.join(lockedCwd, '.env.keys'));
+
+  test('is refused for a file with encrypted values', async () => {
+    const server = await startServer(lockedCwd);
+    try {
+      const res = await server.request('GET', '/api/files/.env/export?format=json&decrypt=1');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'No private key to decrypt .env with');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('is allowed for a file without encrypted values', async () => {
+    const server = await startServer(plainCwd);
+    try {
+      const res = await server.request('GET', '/api/files/.env/export?format=json&decrypt=1');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { A: '1' });
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,84 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder } = require('./helpers');
+const fileService = require('../server/file.service');
+
+const modeOf = (filepath) => fs.statSync(filepath).mode & 0o777;
+
+describe('writeFileAtomic', () => {
+  test('creates new files as 0600', () => {
+    const filepath = path.join(makeFolder(), '.env');
+
+    fileService.writeFileAtomic(filepath, 'A=1\n');
+
+    assert.equal(fs.readFileSync(filepath, 'utf8'), 'A=1\n');
+    assert.equal(modeOf(filepath), 0o600);
+  });
+
+  test('creates new files with the mode asked for', () => {
+    const filepath = path.join(makeFolder(), '.env.example');
+
+    fileService.writeFileAtomic(filepath, 'A=\n', { mode: 0o644 });
+
+    assert.equal(modeOf(filepath), 0o644);
+  });
+
+  test('keeps the mode of an existing file', () => {
+    const cwd = makeFolder({ '.env': 'A=1\n' });
+    const filepath = path.join(cwd, '.env');
+    fs.chmodSync(filepath, 0o640);
+
+    fileService.writeFileAtomic(filepath, 'A=2\n');
+
+    assert.equal(fs.readFileSync(filepath, 'utf8'), 'A=2\n');
+    assert.equal(modeOf(filepath), 0o640);
+    assert.deepEqual(fs.readdirSync(cwd), ['.env']);
+  });
+
+  test('keeps the owner of an existing file', { skip: process.getuid() !== 0 && 'needs root to give a file away' }, () => {
+    const filepath = path.join(makeFolder({ '.env': 'A=1\n' }), '.env');
+    fs.chownSync(filepath, 1234, 1234);
+
+    fileService.writeFileAtomic(filepath, 'A=2\n');
+
+    const stat = fs.statSync(filepath);
+    assert.equal(stat.uid, 1234);
+    assert.equal(stat.gid, 1234);
+  });
+
+  test('writes through a symlink', () => {
+    const cwd = makeFolder({ 'shared/.env': 'A=1\n' });
+    fs.symlinkSync(path.join(cwd, 'shared/.env'), path.join(cwd, '.env'));
+
+    fileService.writeFileAtomic(path.join(cwd, '.env'), 'A=2\n');
+
+    assert.ok(fs.lstatSync(path.join(cwd, '.env')).isSymbolicLink());
+    assert.equal(fs.readFileSync(path.join(cwd, 'shared/.env'), 'utf8'), 'A=2\n');
+  });
+});
+
+describe('getPermissionWarning', () => {
+  const filepath = path.join(makeFolder({ '.env': 'A=1\n' }), '.env');
+
+  test('warns about a file other users can read', () => {
+    fs.chmodSync(filepath, 0o644);
+    assert.equal(fileService.getPermissionWarning(filepath),
+      '.env is readable by all users (mode 0644). Run: chmod 600 .env');
+  });
+
+  test('warns about a file its group can read', () => {
+    fs.chmodSync(filepath, 0o640);
+    assert.match(fileService.getPermissionWarning(filepath), /readable by its group/);
+  });
+
+  test('is quiet for a private file', () => {
+    fs.chmodSync(filepath, 0o600);
+    assert.equal(fileService.getPermissionWarning(filepath), null);
+  });
+
+  test('is quiet for a missing file', () => {
+    assert.equal(fileService.getPermissionWarning(filepath + '.missing'), null);
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep config, history and the audit log of test runs out of the real
+// ~/.envx-ui (read when the services are first required)
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'envx-ui-home-'));
+
+const { createApp } = require('../server/index');
+
+/**
+ * Create a temp folder holding the given files
+ * @param {object} files - Relative path -> content
+ * @returns {string} - Folder path
+ */
+function makeFolder(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'envx-ui-test-'));
+
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+
+  return dir;
+}
+
+/**
+ * Start the app on a random port with a logged in session
+ * @param {string} cwd - Folder to open
+ * @param {object} options - { login: false } to leave the launch token unused
+ * @returns {Promise<object>} - { port, request(method, url, body, headers), close() }
+ */
+async function startServer(cwd, options = {}) {
+  const app = createApp(cwd, { token: 'test' });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  let cookie = '';
+  if (options.login !== false) {
+    const login = await fetch(`${base}/?token=test`, { redirect: 'manual' });
+    cookie = login.headers.get('set-cookie').split(';')[0];
+  }
+
+  const request = async (method, url, body, headers = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: cookie, ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      // Not JSON (e.g. an export download)
+    }
+
+    return { status: res.status, headers: res.headers, body: data };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { port: server.address().port, request, close };
+}
+
+module.exports = {
+  makeFolder,
+  startServer
+};
@@ -0,0 +1,56 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { makeFolder, startServer } = require('./helpers');
+const cryptoService = require('../server/crypto.service');
+const envService = require('../server/env.service');
+
+const cwd = makeFolder({ '.env': 'API_KEY=secret-value\n' });
+cryptoService.initEncryption(cwd, ['.env']);
+cryptoService.encryptFile(path.join(cwd, '.env'), cwd);
+
+const version = () => envService.getFileVersion(path.join(cwd, '.env'));
+
+describe('restoring snapshots after a key rotation', () => {
+  let server;
+  let beforeRotation;
+  let afterRotation;
+
+  before(async () => {
+    server = await startServer(cwd);
+
+    await server.request('POST', '/api/files/.env/rotate', {}, { 'If-Match': `"${version()}"` });
+    await server.request('POST', '/api/files/.env/keys', { key: 'OTHER', value: 'x' }, { 'If-Match': `"${version()}"` });
+
+    const res = await server.request('GET', '/api/files/.env/history');
+    [afterRotation, beforeRotation] = res.body.snapshots.map(snapshot => snapshot.id);
+  });
+
+  after(() => server.close());
+
+  test('marks a snapshot encrypted with the old key', async () => {
+    const res = await server.request('GET', `/api/files/.env/history/${beforeRotation}`);
+    assert.equal(res.body.rotated, true);
+  });
+
+  test('refuses to restore it', async () => {
+    const content = await server.request('GET', '/api/files/.env');
+    const res = await server.request('POST', `/api/files/.env/history/${beforeRotation}/restore`, {}, { 'If-Match': `"${version()}"` });
+
+    assert.equal(res.status, 409);
+    assert.equal(version(), content.body.version);
+  });
+
+  test('restores a snapshot encrypted with the current key', async () => {
+    const diff = await server.request('GET', `/api/files/.env/history/${afterRotation}`);
+    assert.equal(diff.body.rotated, false);
+
+    const res = await server.request('POST', `/api/files/.env/history/${afterRotation}/restore`, {}, { 'If-Match': `"${version()}"` });
+    assert.equal(res.status, 200);
+
+    const file = await server.request('GET', '/api/files/.env');
+    const entry = file.body.entries.find(e => e.key === 'API_KEY');
+    assert.equal(entry.decryptedValue, 'secret-value');
+    assert.equal(file.body.entries.some(e => e.key === 'OTHER'), false);
+  });
+});
@@ -0,0 +1,62 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder } = require('./helpers');
+const cryptoService = require('../server/crypto.service');
+const formatService = require('../server/format.service');
+
+const content = 'A=1\nB=2\n';
+const { entries } = formatService.parseImport('A=1\nB=changed\nC=3\n');
+
+describe('applyImport', () => {
+  test('skips existing keys unless asked to overwrite', () => {
+    const cwd = makeFolder({ '.env': content });
+
+    const result = formatService.applyImport('.env', cwd, entries, { overwrite: false });
+
+    assert.deepEqual(result, { added: ['C'], updated: [], skipped: ['A', 'B'], encrypted: false });
+    assert.equal(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), 'A=1\nB=2\nC=3\n');
+  });
+
+  test('overwrites changed keys when asked to', () => {
+    const cwd = makeFolder({ '.env': content });
+
+    const result = formatService.applyImport('.env', cwd, entries, { overwrite: true });
+
+    assert.deepEqual(result, { added: ['C'], updated: ['B'], skipped: ['A'], encrypted: false });
+    assert.equal(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), 'A=1\nB=changed\nC=3\n');
+  });
+
+  test('leaves the file alone when every key is skipped', () => {
+    const cwd = makeFolder({ '.env': content });
+    const { entries: existing } = formatService.parseImport('B=changed\n');
+
+    const result = formatService.applyImport('.env', cwd, existing, { overwrite: false });
+
+    assert.deepEqual(result.skipped, ['B']);
+    assert.equal(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), content);
+  });
+
+  test('compares against decrypted values and encrypts what it writes', () => {
+    const cwd = makeFolder({ '.env': content });
+    cryptoService.initEncryption(cwd, ['.env']);
+    cryptoService.encryptFile(path.join(cwd, '.env'), cwd);
+
+    const result = formatService.applyImport('.env', cwd, entries, { overwrite: true, encrypt: true });
+
+    assert.deepEqual(result, { added: ['C'], updated: ['B'], skipped: ['A'], encrypted: true });
+    assert.match(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), /^C=encrypted:/m);
+    const { A, B, C } = cryptoService.decryptFile('.env', cwd);
+    assert.deepEqual({ A, B, C }, { A: '1', B: 'changed', C: '3' });
+  });
+
+  test('rejects duplicate keys without writing', () => {
+    const cwd = makeFolder({ '.env': content });
+    const { entries: duplicated } = formatService.parseImport('{"C":"1"}', 'json');
+    duplicated.push({ key: 'C', value: '2' });
+
+    assert.throws(() => formatService.applyImport('.env', cwd, duplicated, { overwrite: true }), /Invalid keys: C/);
+    assert.equal(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), content);
+  });
+});
@@ -0,0 +1,28 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeFolder, startServer } = require('./helpers');
+
+const PAYLOAD = '</script><script>alert(document.cookie)</script>';
+
+const cwd = makeFolder({
+  '.env': 'A=1\n',
+  '.envx-ui.json': JSON.stringify({ include: ['.env', `${PAYLOAD}*`], exclude: [PAYLOAD] })
+});
+
+describe('main page', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  test('keeps project settings from ending the initial data script', async () => {
+    const res = await server.request('GET', '/');
+
+    assert.equal(res.status, 200);
+    assert.doesNotMatch(res.body, /<\/script><script>alert/);
+    assert.match(res.body, /\\u003c\/script>\\u003cscript>alert/);
+  });
+});
@@ -0,0 +1,129 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder, startServer } = require('./helpers');
+const envService = require('../server/env.service');
+const folderService = require('../server/folder.service');
+
+const outside = makeFolder({ '.env': 'SECRET=outside\n' });
+const cwd = makeFolder({
+  '.env': 'A=1\n',
+  '.env.local': 'B=2\n',
+  '.env.keys': 'DOTENV_PRIVATE_KEY=abc\n',
+  'package.json': '{}\n',
+  '.env.a"><b>': 'E=5\n',
+  'apps/web/.env': 'C=3\n',
+  'config/app.env': 'D=4\n'
+});
+fs.symlinkSync(path.join(outside, '.env'), path.join(cwd, '.env.outside'));
+
+// Names every file route must refuse
+const REJECTED = {
+  'a ../ path': '../.env',
+  'an absolute path': path.join(outside, '.env'),
+  'a ./ path': './.env',
+  'a file that is not an env file': 'package.json',
+  '.env.keys': '.env.keys',
+  'a symlink pointing outside the folder': '.env.outside',
+  'a file in a subdirectory without a recursive scan': 'apps/web/.env',
+  'a name with quotes and brackets': '.env.a"><b>'
+};
+
+describe('resolveEnvFile', () => {
+  test('resolves an env file in the folder', () => {
+    assert.equal(envService.resolveEnvFile(cwd, '.env'), path.join(cwd, '.env'));
+  });
+
+  for (const [label, filename] of Object.entries(REJECTED)) {
+    test(`refuses ${label}`, () => {
+      assert.throws(() => envService.resolveEnvFile(cwd, filename), /^Error: Invalid file: /);
+    });
+  }
+
+  test('resolves a file in a subdirectory with a recursive scan', () => {
+    const settings = { ...folderService.getFolderSettings(cwd), recursive: true };
+    assert.equal(envService.resolveEnvFile(cwd, 'apps/web/.env', settings), path.join(cwd, 'apps/web/.env'));
+  });
+
+  test('resolves a file in a directory named by an include pattern', () => {
+    const settings = { ...folderService.getFolderSettings(cwd), include: ['.env', 'config/*.env'] };
+    assert.equal(envService.resolveEnvFile(cwd, 'config/app.env', settings), path.join(cwd, 'config/app.env'));
+    assert.throws(() => envService.resolveEnvFile(cwd, 'apps/web/.env', settings), /^Error: Invalid file: /);
+  });
+
+  test('leaves names with quotes and brackets out of the scan', () => {
+    assert.deepEqual(envService.scanEnvFiles(cwd), ['.env', '.env.local']);
+  });
+
+  test('refuses a file deeper than the scan depth', () => {
+    const settings = { ...folderService.getFolderSettings(cwd), recursive: true, scanDepth: 1 };
+    assert.throws(() => envService.resolveEnvFile(cwd, 'apps/web/.env', settings), /^Error: Invalid file: /);
+  });
+});
+
+describe('file routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  for (const [label, filename] of Object.entries(REJECTED)) {
+    const name = encodeURIComponent(filename);
+
+    describe(`refuse ${label}`, () => {
+      test('GET file', async () => {
+        const res = await server.request('GET', `/api/files/${name}`);
+        assert.equal(res.status, 400);
+      });
+
+      test('PUT key', async () => {
+        const res = await server.request('PUT', `/api/files/${name}/keys/A`, { value: 'changed' }, { 'If-Match': '"x"' });
+        assert.equal(res.status, 400);
+      });
+
+      test('copy from it', async () => {
+        const res = await server.request('POST', `/api/files/${name}/copy`, { target: '.env.local', keys: ['A'], overwrite: true });
+        assert.equal(res.status, 400);
+      });
+
+      test('copy to it', async () => {
+        const res = await server.request('POST', '/api/files/.env/copy', { target: filename, keys: ['A'], overwrite: true });
+        assert.equal(res.status, 400);
+      });
+
+      test('diff', async () => {
+        const res = await server.request('GET', `/api/diff?left=.env&right=${name}`);
+        assert.equal(res.status, 400);
+      });
+
+      test('history', async () => {
+        const res = await server.request('GET', `/api/files/${name}/history`);
+        assert.equal(res.status, 400);
+      });
+
+      test('export', async () => {
+        const res = await server.request('GET', `/api/files/${name}/export?format=json`);
+        assert.equal(res.status, 400);
+        assert.doesNotMatch(JSON.stringify(res.body), /SECRET|DOTENV_PRIVATE_KEY/);
+      });
+    });
+  }
+
+  test('main page groups files from subdirectories with a recursive scan', async () => {
+    await server.request('PUT', '/api/folder/settings', { recursive: true });
+    const res = await server.request('GET', '/');
+    await server.request('PUT', '/api/folder/settings', { recursive: false });
+
+    assert.match(res.body, /class="file-group" title="apps\/web"/);
+    assert.match(res.body, /data-file="apps\/web\/.env"/);
+  });
+
+  test('files outside the folder are left untouched', () => {
+    assert.equal(fs.readFileSync(path.join(outside, '.env'), 'utf8'), 'SECRET=outside\n');
+    assert.equal(fs.readFileSync(path.join(cwd, '.env.keys'), 'utf8'), 'DOTENV_PRIVATE_KEY=abc\n');
+  });
+});
@@ -0,0 +1,41 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder, startServer } = require('./helpers');
+const envService = require('../server/env.service');
+
+const cwd = makeFolder({
+  '.env': 'PORT=3000\n',
+  '.env.schema.json': '{ "PORT": { "type": "int" }, }\n'
+});
+
+describe('invalid schema', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  test('is reported with the file', async () => {
+    const res = await server.request('GET', '/api/files/.env');
+    assert.equal(res.status, 200);
+    assert.match(res.body.validation.schemaError, /^Invalid \.env\.schema\.json/);
+  });
+
+  test('is reported for every file in the folder', async () => {
+    const res = await server.request('GET', '/api/validation');
+    assert.equal(res.status, 200);
+    assert.match(res.body.files['.env'].schemaError, /^Invalid \.env\.schema\.json/);
+  });
+
+  test('does not block saving', async () => {
+    const version = envService.getFileVersion(path.join(cwd, '.env'));
+    const res = await server.request('PUT', '/api/files/.env/keys/PORT', { value: 'not-a-number' }, { 'If-Match': `"${version}"` });
+
+    assert.equal(res.status, 200);
+    assert.equal(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), 'PORT=not-a-number\n');
+  });
+});
@@ -0,0 +1,93 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder, startServer } = require('./helpers');
+const envService = require('../server/env.service');
+
+const cwd = makeFolder({
+  '.env': 'A=1\n',
+  '.env.local': 'B=2\n',
+  '.env.example': 'A=\n'
+});
+
+const version = (file) => envService.getFileVersion(path.join(cwd, file));
+
+describe('writes to files other than the one in the URL', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer(cwd);
+  });
+
+  after(() => server.close());
+
+  test('file list carries the version of every file', async () => {
+    const res = await server.request('GET', '/api/files');
+    assert.equal(res.body.versions['.env.local'], version('.env.local'));
+  });
+
+  test('copy needs the target version', async () => {
+    const res = await server.request('POST', '/api/files/.env/copy', { target: '.env.local', keys: ['A'], overwrite: true });
+    assert.equal(res.status, 428);
+  });
+
+  test('copy refuses a stale target version', async () => {
+    const res = await server.request('POST', '/api/files/.env/copy',
+      { target: '.env.local', keys: ['A'], overwrite: true },
+      { 'If-Match': `"${version('.env')}"` });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.version, version('.env.local'));
+    assert.deepEqual(res.body.entries.map(e => e.key), ['B']);
+    assert.equal(fs.readFileSync(path.join(cwd, '.env.local'), 'utf8'), 'B=2\n');
+  });
+
+  test('copy writes with the current target version', async () => {
+    const res = await server.request('POST', '/api/files/.env/copy',
+      { target: '.env.local', keys: ['A'], overwrite: true },
+      { 'If-Match': `"${version('.env.local')}"` });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.version, version('.env.local'));
+    assert.match(fs.readFileSync(path.join(cwd, '.env.local'), 'utf8'), /^A=1$/m);
+  });
+
+  test('example sync needs the version of .env.example', async () => {
+    const res = await server.request('POST', '/api/example/sync', {});
+    assert.equal(res.status, 428);
+  });
+
+  test('example sync refuses a stale version', async () => {
+    const res = await server.request('POST', '/api/example/sync', { versions: { '.env.example': 'stale' } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.file, '.env.example');
+    assert.equal(fs.readFileSync(path.join(cwd, '.env.example'), 'utf8'), 'A=\n');
+  });
+
+  test('example generate refuses to overwrite a file it expected not to exist', async () => {
+    const res = await server.request('POST', '/api/example/generate',
+      { source: '.env.local', overwrite: true, versions: { '.env.example': null } });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.version, version('.env.example'));
+    assert.equal(fs.readFileSync(path.join(cwd, '.env.example'), 'utf8'), 'A=\n');
+  });
+
+  test('keys init needs the version of every file', async () => {
+    const res = await server.request('POST', '/api/keys/init',
+      { files: ['.env', '.env.local'], versions: { '.env': version('.env') } });
+
+    assert.equal(res.status, 428);
+    assert.equal(fs.existsSync(path.join(cwd, '.env.keys')), false);
+  });
+
+  test('keys init refuses a stale version', async () => {
+    const res = await server.request('POST', '/api/keys/init',
+      { files: ['.env', '.env.local'], versions: { '.env': version('.env'), '.env.local': 'stale' } });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.file, '.env.local');
+    assert.equal(fs.existsSync(path.join(cwd, '.env.keys')), false);
+  });
+});
@@ -0,0 +1,59 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { makeFolder } = require('./helpers');
+const folderService = require('../server/folder.service');
+const watchService = require('../server/watch.service');
+
+const cwd = makeFolder({
+  '.env': 'A=1\n',
+  'apps/web/.env': 'B=2\n',
+  'node_modules/pkg/.env': 'C=3\n'
+});
+folderService.updateFolderSettings(cwd, { recursive: true });
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 400));
+
+describe('watchFolder', () => {
+  const events = [];
+  let stop;
+
+  before(async () => {
+    stop = watchService.watchFolder(cwd, files => events.push(files));
+    await settle();
+  });
+
+  after(() => stop());
+
+  test('reports env files changed in scanned directories', async () => {
+    events.length = 0;
+    fs.writeFileSync(path.join(cwd, 'apps/web/.env'), 'B=changed\n');
+    await settle();
+
+    assert.deepEqual(events, [['apps/web/.env']]);
+  });
+
+  test('ignores node_modules', async () => {
+    events.length = 0;
+    fs.writeFileSync(path.join(cwd, 'node_modules/pkg/.env'), 'C=changed\n');
+    await settle();
+
+    assert.deepEqual(events, []);
+  });
+
+  test('watches directories added later', async () => {
+    events.length = 0;
+    fs.mkdirSync(path.join(cwd, 'apps/api'));
+    await settle();
+
+    // The new directory may hold env files already
+    assert.deepEqual(events, [[]]);
+
+    events.length = 0;
+    fs.writeFileSync(path.join(cwd, 'apps/api/.env'), 'D=4\n');
+    await settle();
+
+    assert.deepEqual(events, [['apps/api/.env']]);
+  });
+});